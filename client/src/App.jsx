@@ -1,8 +1,21 @@
-import { useEffect, useMemo, useState, Fragment } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState, Fragment } from "react";
 import "leaflet/dist/leaflet.css";
 
+import ElevationChart from "./ElevationChart";
+import CueSheet from "./CueSheet";
+import RouteLibrary from "./RouteLibrary";
+import WaypointList from "./WaypointList";
+import CandidateList from "./CandidateList";
+import NoGoZones from "./NoGoZones";
+import SurfaceBar from "./SurfaceBar";
+import RouteIssues from "./RouteIssues";
+import { routeCues } from "./cues";
+import { buildShareFragment, parseShareFragment } from "./shareLink";
+import { gradeColor, nearestProfileIndex, segmentGrades } from "./grade";
+import { segmentSurfaceColors } from "./surfaces";
 import waypointSvg from "./icons/waypoint.svg";
 import startSvg from "./icons/waypoint.svg"; // reuse is fine
+import destinationSvg from "./icons/destination.svg";
 
 
 const StartIcon = L.icon({
@@ -19,12 +32,21 @@ const WaypointIcon = L.icon({
   popupAnchor: [0, -24],
 });
 
+const DestinationIcon = L.icon({
+  iconUrl: destinationSvg,
+  iconSize: [34, 34],
+  iconAnchor: [17, 34],
+  popupAnchor: [0, -30],
+});
+
 import {
   MapContainer,
   TileLayer,
   Polyline,
+  CircleMarker,
   Marker,
   Popup,
+  Tooltip,
   useMap,
 } from "react-leaflet";
 import L from "leaflet";
@@ -38,6 +60,62 @@ function geojsonToLatLngs(geojson) {
   return coords.map(([lng, lat]) => [lat, lng]);
 }
 
+// +0.25 / −1.10 (km, signed)
+function formatDeltaKm(m) {
+  return `${m >= 0 ? "+" : "−"}${(Math.abs(m) / 1000).toFixed(2)}`;
+}
+
+// 1:05:09 / 42:30 (seconds -> h:mm:ss or m:ss)
+function formatDuration(s) {
+  const total = Math.round(s);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+// How climbing slows the estimated time (ids match server/pacing.js)
+const CLIMB_RULES = [
+  { id: "none", label: "Ignore climbs" },
+  { id: "naismith", label: "Naismith" },
+  { id: "tobler", label: "Tobler" },
+];
+
+// Activity profiles (ids match server/profiles.js)
+const PROFILES = [
+  { id: "running", label: "Running", defaultKm: 7, maxKm: 50, speedKmh: 10 },
+  { id: "hiking", label: "Hiking", defaultKm: 12, maxKm: 60, speedKmh: 4.5 },
+  { id: "road-cycling", label: "Road cycling", defaultKm: 60, maxKm: 250, speedKmh: 27 },
+  { id: "gravel", label: "Gravel", defaultKm: 40, maxKm: 200, speedKmh: 20 },
+  { id: "wheelchair", label: "Wheelchair", defaultKm: 3, maxKm: 20, speedKmh: 4 },
+];
+
+const EXPORT_FORMATS = [
+  { id: "gpx", label: "GPX", ext: "gpx" },
+  { id: "tcx", label: "TCX course", ext: "tcx" },
+  { id: "kml", label: "KML", ext: "kml" },
+  { id: "geojson", label: "GeoJSON", ext: "geojson" },
+  { id: "fit", label: "FIT course", ext: "fit" },
+];
+
+// Route shapes (ids match server/shapes.js); shapes other than a loop take no
+// waypoints and no destination
+const SHAPES = [
+  { id: "loop", label: "Loop" },
+  { id: "out-and-back", label: "Out and back" },
+  { id: "figure-eight", label: "Figure-eight" },
+  { id: "cloverleaf", label: "Cloverleaf" },
+];
+
+// Distinct loops requested per generate click, and the colours of the ones
+// not selected (blue is the selected route; red, orange, yellow and purple are
+// taken by blocked roads and grades)
+const ALTERNATIVES = 3;
+const CANDIDATE_COLORS = ["#00897b", "#6d4c41", "#c2185b", "#3949ab", "#546e7a"];
+
+// Undo steps kept per session
+const HISTORY_LIMIT = 50;
+
 // 1) Europe bounds
 const EUROPE_BOUNDS = [
   [34.5, -11.0],
@@ -94,6 +172,17 @@ function dist2(a, b) {
   return dx * dx + dy * dy;
 }
 
+// Set of blocked segment indices -> contiguous [{ startIdx, endIdx }]
+function blockedRangesOf(blockedSegments) {
+  const ranges = [];
+  for (const i of [...blockedSegments].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && i === last.endIdx + 1) last.endIdx = i;
+    else ranges.push({ startIdx: i, endIdx: i });
+  }
+  return ranges;
+}
+
 function pointToSegmentDist2(P, A, B) {
   const ABx = B[0] - A[0];
   const ABy = B[1] - A[1];
@@ -121,7 +210,10 @@ function RouteSegments({
   setBlockedSegments,
   rangeStartIdx,
   setRangeStartIdx,
-  setLastBlockedRange,
+  segGrades,
+  segSurfaceColors,
+  onHoverLatLng,
+  onBeforeEdit,
 }) {
 
   const map = useMap();
@@ -193,13 +285,8 @@ function RouteSegments({
     }
 
     // Second click: toggle whole range, then reset start
+    onBeforeEdit?.();
     toggleRange(rangeStartIdx, idx);
-
-    // ✅ remember the last selected range for backend reroute
-    const start = Math.min(rangeStartIdx, idx);
-    const end = Math.max(rangeStartIdx, idx);
-    setLastBlockedRange({ startIdx: start, endIdx: end });
-
     setRangeStartIdx(null);
 
   }
@@ -210,16 +297,31 @@ function RouteSegments({
     const isBlocked = blockedSegments.has(i);
     const isRangeStart = avoidMode && rangeStartIdx === i;
 
+    // steep sections are coloured by grade (or everything by surface), except
+    // while picking roads to avoid
+    const grade = segGrades?.[i];
+    const baseColor = avoidMode
+      ? "blue"
+      : segSurfaceColors
+        ? segSurfaceColors[i] ?? "blue"
+        : grade != null && grade >= 3
+          ? gradeColor(grade)
+          : "blue";
+
     lines.push(
       <Fragment key={`seg-${i}`}>
         <Polyline
           positions={seg}
           pathOptions={{
-            color: isBlocked ? "red" : isRangeStart ? "orange" : "blue",
+            color: isBlocked ? "red" : isRangeStart ? "orange" : baseColor,
             weight: isBlocked ? 6 : isRangeStart ? 7 : 5,
             opacity: 0.9,
           }}
-          eventHandlers={{ click: handleClickOnRoute }}
+          eventHandlers={{
+            click: handleClickOnRoute,
+            mousemove: (e) => onHoverLatLng?.(e.latlng),
+            mouseout: () => onHoverLatLng?.(null),
+          }}
         />
       </Fragment>
     );
@@ -292,45 +394,155 @@ export default function App() {
 
 
   const [pos, setPos] = useState(null);
+  const [profile, setProfile] = useState("running");
   const [distanceKm, setDistanceKm] = useState(7);
+  const [targetMode, setTargetMode] = useState("distance"); // distance | time
+  const [durationMin, setDurationMin] = useState(45);
+  const [pace, setPace] = useState(""); // "m:ss" per km; empty = the profile's nominal pace
+  const [climbRule, setClimbRule] = useState("naismith");
+  const [shape, setShape] = useState("loop");
+  const [petals, setPetals] = useState(3); // cloverleaf only
   const [preferLowOverlap, setPreferLowOverlap] = useState(true);
+  const [surfacePref, setSurfacePref] = useState("any"); // any | prefer-unpaved | prefer-paved
+  const [avoidSteps, setAvoidSteps] = useState(false);
+  const [avoidHighways, setAvoidHighways] = useState(false);
+  const [colorBySurface, setColorBySurface] = useState(false);
+  const [inspect, setInspect] = useState(false); // show the route's issues, see /api/analyze
+  const [climbGoal, setClimbGoal] = useState("any"); // any | flat | hilly | target
+  const [targetAscentM, setTargetAscentM] = useState(150);
 
   const [routeGeo, setRouteGeo] = useState(null);
   const [distM, setDistM] = useState(null);
   const [overlap, setOverlap] = useState(null);
   const [attemptsTried, setAttemptsTried] = useState(null);
+  const [rerouteDistance, setRerouteDistance] = useState(null); // distance report of the last reroute
+  const [elevation, setElevation] = useState(null);
+  const [timing, setTiming] = useState(null); // ETA + splits of the current route, see /api/timing
+  const [analysis, setAnalysis] = useState(null); // issues of the current route
+  const [hoverIdx, setHoverIdx] = useState(null); // index into elevation.profile
+  const [candidates, setCandidates] = useState([]); // alternatives from the last generate
+  const [candidateIdx, setCandidateIdx] = useState(0);
+  const [cueIdx, setCueIdx] = useState(null); // index into cues
+
+  // Export
+  const [routeName, setRouteName] = useState("");
+  const [routeDescription, setRouteDescription] = useState("");
+  const [exportFormat, setExportFormat] = useState("gpx");
+
+  // Library
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [savedId, setSavedId] = useState(null); // library entry the current route belongs to
   const [loading, setLoading] = useState(false);
 
   // Waypoints
   const [waypointMode, setWaypointMode] = useState(false);
   const [waypoints, setWaypoints] = useState([]);
 
+  // Point-to-point: route from the start to here instead of back to the start
+  const [destinationMode, setDestinationMode] = useState(false);
+  const [destination, setDestination] = useState(null);
+
   // Avoid-road
   const [avoidMode, setAvoidMode] = useState(false);
+  const [keepDistance, setKeepDistance] = useState(false); // reroute back to the planned distance (opt-in)
   const [blockedSegments, setBlockedSegments] = useState(() => new Set());
   const [rangeStartIdx, setRangeStartIdx] = useState(null); // start segment index for range blocking
-  const [lastBlockedRange, setLastBlockedRange] = useState(null);
-
-  const polyline = useMemo(() => geojsonToLatLngs(routeGeo), [routeGeo]);
 
-  useEffect(() => {
-  if (!polyline || polyline.length < 2) return;
+  // No-go zones (saved on the server, sent with every loop/reroute request)
+  const [zones, setZones] = useState([]);
+  const [zoneDrawMode, setZoneDrawMode] = useState(null); // null | "polygon" | "circle"
 
-  let worst = { i: -1, d: 0, a: null, b: null };
+  // Edit history: snapshots of the route and its selections
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
 
-  for (let i = 0; i < polyline.length - 1; i++) {
-    const [lat1, lng1] = polyline[i];
-    const [lat2, lng2] = polyline[i + 1];
+  const fileInputRef = useRef(null);
+  const [sharedRoute] = useState(() => parseShareFragment(window.location.hash)); // link the app was opened with
+  const variationRef = useRef(null); // /api/loop variation: new per Generate, kept by live re-plans
 
-    // rough distance (degrees) - enough to detect a crazy jump
-    const d = Math.hypot(lat2 - lat1, lng2 - lng1);
+  const polyline = useMemo(() => geojsonToLatLngs(routeGeo), [routeGeo]);
+  const segGrades = useMemo(
+    () => segmentGrades(elevation?.profile, Math.max(0, polyline.length - 1)),
+    [elevation, polyline]
+  );
+  const segSurfaceColors = useMemo(
+    () => (colorBySurface ? segmentSurfaceColors(routeGeo, Math.max(0, polyline.length - 1)) : null),
+    [colorBySurface, routeGeo, polyline]
+  );
+  const hoverPoint = hoverIdx != null ? elevation?.profile?.[hoverIdx] : null;
+  const cues = useMemo(() => routeCues(routeGeo), [routeGeo]);
+  const activeCue = cueIdx != null ? cues[cueIdx] : null;
+  const turnaround = candidates[candidateIdx]?.turnaround ?? null; // out-and-back only
+  const pacing = { pace, climbRule };
+
+  // only while it still matches the route and pacing it was estimated for
+  const currentTiming =
+    timing &&
+    timing.routeGeo === routeGeo &&
+    timing.profile === profile &&
+    timing.pace === pace &&
+    timing.climbRule === climbRule
+      ? timing
+      : null;
+  const currentIssues =
+    inspect && analysis && analysis.routeGeo === routeGeo && analysis.profile === profile ? analysis.issues : null;
+
+  // current route as the library stores it
+  const libraryDraft = routeGeo
+    ? {
+        name: routeName.trim() || `Loop ${distanceKm} km`,
+        description: routeDescription,
+        profile,
+        start: pos,
+        destination,
+        targetKm: Number(distanceKm),
+        waypoints,
+        stats: { distM, overlap, elevation },
+        geojson: routeGeo,
+      }
+    : null;
 
-    if (d > worst.d) worst = { i, d, a: polyline[i], b: polyline[i + 1] };
+  function hoverRouteAt(latlng) {
+    if (!latlng) return setHoverIdx(null);
+    setHoverIdx(nearestProfileIndex(elevation?.profile, latlng.lat, latlng.lng));
   }
 
-  console.log("WORST JUMP", worst);
-}, [polyline]);
+  // Estimated time of the current route (finish time as if starting now)
+  useEffect(() => {
+    if (!routeGeo) return;
+    let cancelled = false;
+    fetch(`${API_BASE}/api/timing`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ geojson: routeGeo, profile, pacing: { pace, climbRule } }),
+    })
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject(new Error(resp.statusText))))
+      .then((data) => {
+        if (cancelled) return;
+        setTiming({ ...data, routeGeo, profile, pace, climbRule, finishAt: new Date(Date.now() + data.movingS * 1000) });
+      })
+      .catch((e) => console.error("Estimating time failed", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [routeGeo, profile, pace, climbRule]);
 
+  // Spurs, overlap, self-crossings, jumps and U-turns of the current route
+  useEffect(() => {
+    if (!inspect || !routeGeo) return;
+    let cancelled = false;
+    fetch(`${API_BASE}/api/analyze`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ geojson: routeGeo, profile }),
+    })
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject(new Error(resp.statusText))))
+      .then((data) => !cancelled && setAnalysis({ issues: data.issues, routeGeo, profile }))
+      .catch((e) => console.error("Analyzing route failed", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [inspect, routeGeo, profile]);
 
   function useMyLocation() {
     if (!navigator.geolocation) {
@@ -345,19 +557,169 @@ export default function App() {
     );
   }
 
+  const activeProfile = PROFILES.find((p) => p.id === profile) ?? PROFILES[0];
+
+  function changeProfile(id) {
+    const next = PROFILES.find((p) => p.id === id);
+    if (!next) return;
+    setProfile(id);
+    setDistanceKm(next.defaultKm);
+  }
+
   function toggleWaypointMode() {
-    setWaypointMode((prev) => {
-      const next = !prev;
-      if (prev === true && next === false) setWaypoints([]);
-      return next;
-    });
+    setWaypointMode((prev) => !prev);
 
     // avoid confusion: can't avoid roads while placing waypoints
     setAvoidMode(false);
+    setZoneDrawMode(null);
+    setDestinationMode(false);
+  }
+
+  function toggleDestinationMode() {
+    setDestinationMode((prev) => !prev);
+    setWaypointMode(false);
+    setAvoidMode(false);
+    setZoneDrawMode(null);
+  }
+
+  // -------------------- Undo / redo --------------------
+
+  function currentSnapshot() {
+    return {
+      pos,
+      routeGeo,
+      distM,
+      overlap,
+      attemptsTried,
+      rerouteDistance,
+      elevation,
+      waypoints,
+      destination,
+      blockedSegments,
+      candidates,
+      candidateIdx,
+    };
+  }
+
+  function applySnapshot(snap) {
+    setPos(snap.pos);
+    setRouteGeo(snap.routeGeo);
+    setDistM(snap.distM);
+    setOverlap(snap.overlap);
+    setAttemptsTried(snap.attemptsTried);
+    setRerouteDistance(snap.rerouteDistance);
+    setElevation(snap.elevation);
+    setWaypoints(snap.waypoints);
+    setDestination(snap.destination);
+    setBlockedSegments(snap.blockedSegments);
+    setCandidates(snap.candidates);
+    setCandidateIdx(snap.candidateIdx);
+    setRangeStartIdx(null);
+    setHoverIdx(null);
+    setCueIdx(null);
+  }
+
+  // Call right before an edit: remembers the state the edit starts from
+  function checkpoint() {
+    if (!routeGeo && waypoints.length === 0 && !destination) return;
+    setUndoStack((prev) => [...prev, currentSnapshot()].slice(-HISTORY_LIMIT));
+    setRedoStack([]);
+  }
+
+  function undo() {
+    if (loading || undoStack.length === 0) return;
+    setRedoStack((prev) => [...prev, currentSnapshot()]);
+    setUndoStack((prev) => prev.slice(0, -1));
+    applySnapshot(undoStack[undoStack.length - 1]);
+  }
+
+  function redo() {
+    if (loading || redoStack.length === 0) return;
+    setUndoStack((prev) => [...prev, currentSnapshot()]);
+    setRedoStack((prev) => prev.slice(0, -1));
+    applySnapshot(redoStack[redoStack.length - 1]);
+  }
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (not while typing)
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // Waypoint edits re-plan the current loop right away (generateLoop records
+  // the undo step); without a route they only change the list.
+  function updateWaypoints(next) {
+    if (loading) return;
+    if (routeGeo && pos) {
+      setWaypoints(next);
+      generateLoop({ waypoints: next, live: true });
+    } else {
+      checkpoint();
+      setWaypoints(next);
+    }
   }
 
   function addWaypoint(p) {
-    setWaypoints((prev) => [...prev, p]);
+    updateWaypoints([...waypoints, { lat: p.lat, lng: p.lng }]);
+  }
+
+  function moveWaypoint(i, latlng) {
+    updateWaypoints(waypoints.map((wp, k) => (k === i ? { lat: latlng.lat, lng: latlng.lng } : wp)));
+  }
+
+  // Same as waypoints: a destination edit re-plans the current route
+  function updateDestination(next) {
+    if (loading) return;
+    if (routeGeo && pos) {
+      setDestination(next);
+      generateLoop({ destination: next, live: true });
+    } else {
+      checkpoint();
+      setDestination(next);
+    }
+  }
+
+  function placeDestination(p) {
+    updateDestination({ lat: p.lat, lng: p.lng });
+    setDestinationMode(false);
+  }
+
+  function selectCandidate(i) {
+    const c = candidates[i];
+    if (!c || i === candidateIdx || loading) return;
+
+    checkpoint();
+    setCandidateIdx(i);
+    setRouteGeo(c.geojson);
+    setDistM(c.distM);
+    setOverlap(c.overlap);
+    setElevation(c.elevation ?? null);
+    setHoverIdx(null);
+    setCueIdx(null);
+    setRangeStartIdx(null);
+    clearBlocked();
+  }
+
+  function optimizeWaypointOrder(mode) {
+    if (!pos) {
+      alert("Use your location first");
+      return;
+    }
+    generateLoop({ optimizeOrder: mode, live: Boolean(routeGeo) });
   }
 
   function toggleAvoidMode() {
@@ -368,12 +730,74 @@ export default function App() {
 
     // avoid confusion: can't place waypoints while avoiding roads
     setWaypointMode(false);
+    setZoneDrawMode(null);
+    setDestinationMode(false);
+  }
+
+  // -------------------- No-go zones --------------------
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_BASE}/api/zones`)
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject(new Error(resp.statusText))))
+      .then((data) => !cancelled && setZones(data.zones))
+      .catch((e) => console.error("Loading no-go zones failed", e));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  function toggleZoneDrawMode(mode) {
+    setZoneDrawMode((prev) => (prev === mode ? null : mode));
+    setWaypointMode(false);
+    setDestinationMode(false);
+    setAvoidMode(false);
+    setRangeStartIdx(null);
+  }
+
+  async function createZone(shape) {
+    const name = prompt("Name for this no-go zone (optional):", "");
+    if (name === null) return;
+
+    try {
+      const resp = await fetch(`${API_BASE}/api/zones`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...shape, name }),
+      });
+      if (!resp.ok) throw new Error(await resp.text());
+      const zone = await resp.json();
+      setZones((prev) => [...prev, zone]);
+      setZoneDrawMode(null);
+    } catch (e) {
+      alert("Saving no-go zone failed:\n" + e.message);
+    }
+  }
+
+  async function deleteZone(zone) {
+    try {
+      const resp = await fetch(`${API_BASE}/api/zones/${zone.id}`, { method: "DELETE" });
+      if (!resp.ok) throw new Error(await resp.text());
+      setZones((prev) => prev.filter((z) => z.id !== zone.id));
+    } catch (e) {
+      alert("Deleting no-go zone failed:\n" + e.message);
+    }
   }
 
   function clearBlocked() {
     setBlockedSegments(new Set());
   }
 
+  // "Block this part" of an issue: segments lo..hi, ready for Reroute
+  function blockIssue(lo, hi) {
+    checkpoint();
+    setBlockedSegments((prev) => {
+      const next = new Set(prev);
+      for (let i = lo; i <= hi; i++) next.add(i);
+      return next;
+    });
+  }
+
   function buildBlockedSegmentsPayload() {
     if (!polyline || polyline.length < 2) return [];
     return Array.from(blockedSegments).map((i) => ({
@@ -382,12 +806,18 @@ export default function App() {
     }));
   }
 
-  async function generateLoop() {
+  // live: re-plan of the current route after a waypoint edit (keeps name,
+  // library link and map view)
+  async function generateLoop({
+    waypoints: wps = waypoints,
+    destination: dest = destination,
+    optimizeOrder = null,
+    live = false,
+  } = {}) {
     setRangeStartIdx(null);
-    setLastBlockedRange(null);
 
 
-    setFitAfterGenerate(true);
+    setFitAfterGenerate(!live);
 
     if (loading) return;
     if (!pos) {
@@ -395,11 +825,16 @@ export default function App() {
       return;
     }
 
+    checkpoint();
+    if (!live || variationRef.current == null) variationRef.current = Math.floor(Math.random() * 1_000_000_000);
     setLoading(true);
     setRouteGeo(null);
     setDistM(null);
     setOverlap(null);
     setAttemptsTried(null);
+    setRerouteDistance(null);
+    setElevation(null);
+    setHoverIdx(null);
 
     // new route -> reset avoid selections
     setAvoidMode(false);
@@ -413,8 +848,27 @@ export default function App() {
           lat: pos.lat,
           lng: pos.lng,
           distanceKm: Number(distanceKm),
+          profile,
           preferLowOverlap,
-          waypoints,
+          elevationGoal:
+            climbGoal === "target"
+              ? { mode: "target", ascentM: Number(targetAscentM) }
+              : climbGoal,
+          waypoints: wps,
+          destination: dest,
+          timeTarget: targetMode === "time" ? { minutes: Number(durationMin) } : undefined,
+          pacing,
+          wayPreferences: [
+            ...(surfacePref !== "any" ? [surfacePref] : []),
+            ...(avoidSteps ? ["avoid-steps"] : []),
+            ...(avoidHighways ? ["avoid-highways"] : []),
+          ],
+          shape: wps.length > 0 || dest ? "loop" : shape,
+          petals: Number(petals),
+          optimizeOrder,
+          alternatives: ALTERNATIVES,
+          variation: variationRef.current,
+          noGoZones: zones,
         }),
       });
 
@@ -425,9 +879,25 @@ export default function App() {
 
       const data = await resp.json();
       setRouteGeo(data.geojson);
+      setCandidates(data.candidates ?? []);
+      setCandidateIdx(0);
+      if (data.waypointOrder) setWaypoints(data.waypointOrder.map((i) => wps[i]));
+      if (!live) {
+        setSavedId(null);
+        const shapeLabel = dest
+          ? "To destination"
+          : wps.length > 0
+            ? "Loop"
+            : SHAPES.find((s) => s.id === shape).label;
+        setRouteName(targetMode === "time" ? `${shapeLabel} ${durationMin} min` : `${shapeLabel} ${distanceKm} km`);
+      }
+      // a duration target came to this distance; reroutes and the library plan with it
+      if (data.timeTarget) setDistanceKm(Math.round(data.targetM / 100) / 10);
       setDistM(data.distM);
       setOverlap(data.overlap);
       setAttemptsTried(data.attemptsTried);
+      setRerouteDistance(null);
+      setElevation(data.elevation ?? null);
     } catch (e) {
       alert("Failed to generate route:\n" + e.message);
     } finally {
@@ -462,12 +932,15 @@ export default function App() {
         lat: pos.lat,
         lng: pos.lng,
         distanceKm: Number(distanceKm),
+        profile,
         waypoints,
         routeGeo,
         blockedSegments: blockedSegmentsPayload,
 
-        // ✅ NEW: tells backend exact blocked range indices
-        blockedRange: lastBlockedRange,
+        // each contiguous red stretch is bridged separately
+        blockedRanges: blockedRangesOf(blockedSegments),
+        preserveDistance: keepDistance,
+        noGoZones: zones,
       }),
 
       });
@@ -478,14 +951,26 @@ export default function App() {
       }
 
       const data = await resp.json();
+      checkpoint();
       setRouteGeo(data.geojson);
+      setCandidates([]);
       setDistM(data.distM);
       setOverlap(data.overlap);
       setAttemptsTried(data.attemptsTried ?? 1);
+      setRerouteDistance(data.distance ?? null);
+      setElevation(data.elevation ?? null);
+      setHoverIdx(null);
 
       // after reroute: clear selection
       clearBlocked();
       setAvoidMode(false);
+
+      if (data.failedRanges?.length) {
+        alert(
+          `Could not bridge ${data.failedRanges.length} of ${data.ranges.length} blocked sections; they were kept:\n` +
+            data.failedRanges.map((r) => `- segments ${r.startIdx}–${r.endIdx}: ${r.error}`).join("\n")
+        );
+      }
     } catch (e) {
       alert("Failed to reroute:\n" + e.message);
     } finally {
@@ -493,24 +978,190 @@ export default function App() {
     }
   }
 
-  async function downloadGpx() {
+  // Load a GPX / TCX / KML / GeoJSON file as the current route
+  async function importRouteFile(file) {
+    if (!file || loading) return;
+
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ filename: file.name, profile });
+      const resp = await fetch(`${API_BASE}/api/import?${params}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: file,
+      });
+
+      if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error(txt);
+      }
+
+      const data = await resp.json();
+
+      // imported route replaces everything tied to the previous one
+      checkpoint();
+      setRangeStartIdx(null);
+      setAvoidMode(false);
+      clearBlocked();
+      setWaypoints([]);
+      setDestination(null);
+
+      setFitAfterGenerate(true);
+      setPos(data.start);
+      setDistanceKm(Math.round(data.distM / 100) / 10);
+      setRouteGeo(data.geojson);
+      setCandidates([]);
+      setSavedId(null);
+      setRouteName(data.name || file.name.replace(/\.[^.]+$/, ""));
+      setDistM(data.distM);
+      setOverlap(data.overlap);
+      setAttemptsTried(null);
+      setRerouteDistance(null);
+      setElevation(data.elevation ?? null);
+      setHoverIdx(null);
+    } catch (e) {
+      alert("Failed to import route:\n" + e.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Restore a route from the library exactly as it was saved
+  function loadSavedRoute(route) {
+    checkpoint();
+    setRangeStartIdx(null);
+    setAvoidMode(false);
+    setWaypointMode(false);
+    clearBlocked();
+
+    setFitAfterGenerate(true);
+    if (route.profile && PROFILES.some((p) => p.id === route.profile)) setProfile(route.profile);
+    setPos(route.start ?? null);
+    if (route.targetKm != null) setDistanceKm(route.targetKm);
+    setWaypoints(route.waypoints ?? []);
+    setDestination(route.destination ?? null);
+    setRouteGeo(route.geojson);
+    setCandidates([]);
+    setSavedId(route.id);
+    setRouteName(route.name);
+    setRouteDescription(route.description ?? "");
+    setDistM(route.stats?.distM ?? null);
+    setOverlap(route.stats?.overlap ?? null);
+    setAttemptsTried(null);
+    setRerouteDistance(null);
+    setElevation(route.stats?.elevation ?? null);
+    setHoverIdx(null);
+  }
+
+  // Open a shared link: the fragment carries the route line and settings; the
+  // server fills in distance, overlap and elevation as for an imported file.
+  const restoreSharedRoute = useCallback(async (shared) => {
+    const geojson = {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          properties: {},
+          geometry: { type: "LineString", coordinates: shared.polyline.map(([lat, lng]) => [lng, lat]) },
+        },
+      ],
+    };
+    const sharedProfile = PROFILES.some((p) => p.id === shared.profile) ? shared.profile : PROFILES[0].id;
+    const sharedShape = SHAPES.some((s) => s.id === shared.shape) ? shared.shape : "loop";
+
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ filename: "shared.geojson", profile: sharedProfile });
+      const resp = await fetch(`${API_BASE}/api/import?${params}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: JSON.stringify(geojson),
+      });
+
+      if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error(txt);
+      }
+
+      const data = await resp.json();
+
+      setFitAfterGenerate(true);
+      setProfile(sharedProfile);
+      setPos(shared.pos);
+      setWaypoints(shared.waypoints);
+      setDestination(shared.destination);
+      setShape(sharedShape);
+      if (shared.petals) setPetals(shared.petals);
+      setDistanceKm(shared.distanceKm ?? Math.round(data.distM / 100) / 10);
+      setRouteGeo(data.geojson);
+      setCandidates([]);
+      setSavedId(null);
+      setRouteName(shared.name);
+      setDistM(data.distM);
+      setOverlap(data.overlap);
+      setAttemptsTried(null);
+      setRerouteDistance(null);
+      setElevation(data.elevation ?? null);
+    } catch (e) {
+      alert("Failed to open shared route:\n" + e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  async function copyShareLink() {
+    if (!routeGeo) return;
+
+    const fragment = buildShareFragment({
+      polyline,
+      pos,
+      waypoints,
+      destination,
+      shape,
+      petals: Number(petals),
+      distanceKm,
+      profile,
+      name: routeName.trim(),
+    });
+    const url = `${window.location.origin}${window.location.pathname}#${fragment}`;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      alert("Link copied to clipboard");
+    } catch {
+      prompt("Copy this link:", url);
+    }
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    importRouteFile(e.dataTransfer.files?.[0]);
+  }
+
+  async function downloadRoute() {
     if (!pos || !routeGeo) {
       alert("Generate a route first");
       return;
     }
 
-    const resp = await fetch(`${API_BASE}/api/gpx/from-geojson`, {
+    const name = routeName.trim() || `Loop ${distanceKm} km`;
+
+    const resp = await fetch(`${API_BASE}/api/export`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
         geojson: routeGeo,
-        name: `Loop ${distanceKm} km`,
+        name,
+        description: routeDescription,
+        format: exportFormat,
+        profile,
+        pacing,
       }),
     });
 
     if (!resp.ok) {
       const txt = await resp.text();
-      alert("GPX download failed:\n" + txt);
+      alert("Download failed:\n" + txt);
       return;
     }
 
@@ -519,18 +1170,31 @@ export default function App() {
 
     const a = document.createElement("a");
     a.href = url;
-    a.download = `loop-${distanceKm}km.gpx`;
+    a.download = `${name.replace(/[^\w-]+/g, "-")}.${EXPORT_FORMATS.find((f) => f.id === exportFormat).ext}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   }
 
-  const mapClickEnabledForStart = !avoidMode && !waypointMode;
-  const mapClickEnabledForWaypoints = !avoidMode && waypointMode;
+  // A shared link opened the app: restore its route, then clean the URL
+  useEffect(() => {
+    if (!sharedRoute) return;
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    restoreSharedRoute(sharedRoute);
+  }, [sharedRoute, restoreSharedRoute]);
+
+  const mapClickEnabledForStart = !avoidMode && !waypointMode && !destinationMode && !zoneDrawMode;
+  const mapClickEnabledForWaypoints = !avoidMode && waypointMode && !zoneDrawMode;
+  const mapClickEnabledForDestination = !avoidMode && destinationMode && !zoneDrawMode;
+  const shapeLocked = waypoints.length > 0 || destination != null; // only plain loops take these
 
   return (
-    <div style={{ height: "100vh", display: "grid", gridTemplateRows: "auto 1fr" }}>
+    <div
+      style={{ height: "100vh", display: "grid", gridTemplateRows: "auto 1fr auto auto" }}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={handleDrop}
+    >
       <div
         style={{
           padding: 12,
@@ -541,19 +1205,122 @@ export default function App() {
           flexWrap: "wrap",
         }}
       >
+        <button onClick={() => setShowLibrary((v) => !v)}>
+          {showLibrary ? "Hide library" : "Library"}
+        </button>
+
         <button onClick={useMyLocation}>Use my location</button>
 
         <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
-          Distance (km):
+          Activity:
+          <select value={profile} onChange={(e) => changeProfile(e.target.value)}>
+            {PROFILES.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <select value={targetMode} onChange={(e) => setTargetMode(e.target.value)}>
+            <option value="distance">Distance (km)</option>
+            <option value="time">Time (min)</option>
+          </select>
+          {targetMode === "distance" ? (
+            <input
+              type="number"
+              min="1"
+              max={activeProfile.maxKm}
+              step="0.5"
+              value={distanceKm}
+              onChange={(e) => setDistanceKm(e.target.value)}
+              style={{ width: 80 }}
+            />
+          ) : (
+            <input
+              type="number"
+              min="1"
+              max="1440"
+              step="5"
+              value={durationMin}
+              onChange={(e) => setDurationMin(e.target.value)}
+              style={{ width: 80 }}
+            />
+          )}
+        </label>
+
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }} title="Flat pace for time targets and estimates">
+          Pace:
           <input
-            type="number"
-            min="1"
-            max="50"
-            step="0.5"
-            value={distanceKm}
-            onChange={(e) => setDistanceKm(e.target.value)}
-            style={{ width: 80 }}
+            type="text"
+            placeholder={formatDuration(3600 / activeProfile.speedKmh)}
+            value={pace}
+            onChange={(e) => setPace(e.target.value)}
+            style={{ width: 50 }}
           />
+          /km
+          <select value={climbRule} onChange={(e) => setClimbRule(e.target.value)} title="Time added for climbing">
+            {CLIMB_RULES.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label
+          style={{ display: "flex", gap: 6, alignItems: "center" }}
+          title={
+            destination
+              ? "Routes to a destination have no shape"
+              : waypoints.length > 0
+                ? "Routes through waypoints are always loops"
+                : undefined
+          }
+        >
+          Shape:
+          <select value={shape} onChange={(e) => setShape(e.target.value)} disabled={shapeLocked}>
+            {SHAPES.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+          {shape === "cloverleaf" && (
+            <input
+              type="number"
+              min="2"
+              max="6"
+              step="1"
+              value={petals}
+              onChange={(e) => setPetals(e.target.value)}
+              style={{ width: 50 }}
+              title="Petals"
+              disabled={shapeLocked}
+            />
+          )}
+        </label>
+
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          Climbing:
+          <select value={climbGoal} onChange={(e) => setClimbGoal(e.target.value)}>
+            <option value="any">Any</option>
+            <option value="flat">Flat</option>
+            <option value="hilly">Hilly</option>
+            <option value="target">Target ascent</option>
+          </select>
+          {climbGoal === "target" && (
+            <input
+              type="number"
+              min="0"
+              step="10"
+              value={targetAscentM}
+              onChange={(e) => setTargetAscentM(e.target.value)}
+              style={{ width: 70 }}
+              title="Target ascent (m)"
+            />
+          )}
         </label>
 
         <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
@@ -565,6 +1332,31 @@ export default function App() {
           Avoid overlapping roads
         </label>
 
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          Surface:
+          <select value={surfacePref} onChange={(e) => setSurfacePref(e.target.value)}>
+            <option value="any">Any</option>
+            <option value="prefer-unpaved">Prefer unpaved</option>
+            <option value="prefer-paved">Prefer paved</option>
+          </select>
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <input type="checkbox" checked={avoidSteps} onChange={(e) => setAvoidSteps(e.target.checked)} />
+          Avoid steps
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <input type="checkbox" checked={avoidHighways} onChange={(e) => setAvoidHighways(e.target.checked)} />
+          Avoid highways
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <input type="checkbox" checked={colorBySurface} onChange={(e) => setColorBySurface(e.target.checked)} />
+          Colour by surface
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <input type="checkbox" checked={inspect} onChange={(e) => setInspect(e.target.checked)} />
+          Show issues
+        </label>
+
         <button
           onClick={toggleWaypointMode}
           style={{
@@ -575,6 +1367,22 @@ export default function App() {
           {waypointMode ? "Waypoint mode: ON (click map)" : "Waypoint mode: OFF"}
         </button>
 
+        <button
+          onClick={toggleDestinationMode}
+          style={{
+            border: "1px solid #ccc",
+            background: destinationMode ? "#efe" : "white",
+          }}
+          title="End the route here instead of back at the start"
+        >
+          {destinationMode ? "Destination: click map" : destination ? "Move destination" : "Set destination"}
+        </button>
+        {destination && (
+          <button onClick={() => updateDestination(null)} disabled={loading}>
+            Clear destination
+          </button>
+        )}
+
         <button
           onClick={toggleAvoidMode}
           disabled={!routeGeo}
@@ -586,11 +1394,39 @@ export default function App() {
           {avoidMode ? "Avoid-road mode: ON (click route)" : "Avoid-road mode: OFF"}
         </button>
 
-        <button onClick={clearBlocked} disabled={!routeGeo || blockedSegments.size === 0}>
+        <button
+          onClick={() => toggleZoneDrawMode("polygon")}
+          style={{ border: "1px solid #ccc", background: zoneDrawMode === "polygon" ? "#fee" : "white" }}
+          title="Click corners on the map, double-click to finish"
+        >
+          {zoneDrawMode === "polygon" ? "Drawing no-go area…" : "No-go area"}
+        </button>
+        <button
+          onClick={() => toggleZoneDrawMode("circle")}
+          style={{ border: "1px solid #ccc", background: zoneDrawMode === "circle" ? "#fee" : "white" }}
+          title="Click the centre, then click again to set the radius"
+        >
+          {zoneDrawMode === "circle" ? "Drawing no-go circle…" : "No-go circle"}
+        </button>
+
+        <button
+          onClick={() => {
+            checkpoint();
+            clearBlocked();
+          }}
+          disabled={!routeGeo || blockedSegments.size === 0}
+        >
           Clear blocked roads
         </button>
 
-        <button onClick={generateLoop} disabled={loading}>
+        <button onClick={undo} disabled={loading || undoStack.length === 0} title="Undo (Ctrl+Z)">
+          ↶ Undo
+        </button>
+        <button onClick={redo} disabled={loading || redoStack.length === 0} title="Redo (Ctrl+Shift+Z)">
+          ↷ Redo
+        </button>
+
+        <button onClick={() => generateLoop()} disabled={loading}>
           {loading ? "Working..." : "Generate loop"}
         </button>
 
@@ -600,66 +1436,260 @@ export default function App() {
         >
           Reroute around blocked roads
         </button>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }} title="Re-plan another stretch so the loop stays near the planned distance">
+          <input type="checkbox" checked={keepDistance} onChange={(e) => setKeepDistance(e.target.checked)} />
+          Keep distance
+        </label>
 
-        <button onClick={downloadGpx} disabled={!routeGeo}>
-          Download GPX
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={loading}
+          title="Or drop a GPX / TCX / KML / GeoJSON file on the map"
+        >
+          Import route
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".gpx,.tcx,.kml,.geojson,.json,.fit"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            importRouteFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+
+        <input
+          type="text"
+          placeholder="Route name"
+          value={routeName}
+          onChange={(e) => setRouteName(e.target.value)}
+          disabled={!routeGeo}
+          style={{ width: 140 }}
+        />
+        <input
+          type="text"
+          placeholder="Description"
+          value={routeDescription}
+          onChange={(e) => setRouteDescription(e.target.value)}
+          disabled={!routeGeo}
+          style={{ width: 160 }}
+        />
+        <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+          {EXPORT_FORMATS.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <button onClick={downloadRoute} disabled={!routeGeo}>
+          Download {EXPORT_FORMATS.find((f) => f.id === exportFormat).label}
+        </button>
+        <button onClick={copyShareLink} disabled={!routeGeo}>
+          Copy link
         </button>
 
         <div style={{ marginLeft: "auto", display: "flex", gap: 16, fontWeight: "bold" }}>
           {distM != null && <div>{(distM / 1000).toFixed(2)} km</div>}
           {overlap != null && <div>Overlap: {(overlap * 100).toFixed(1)}%</div>}
+          {elevation && (
+            <div>
+              ↑ {Math.round(elevation.ascentM)} m ↓ {Math.round(elevation.descentM)} m
+            </div>
+          )}
+          {currentTiming && (
+            <details style={{ position: "relative", fontWeight: "normal" }}>
+              <summary style={{ fontWeight: "bold", cursor: "pointer" }}>
+                ETA {currentTiming.finishAt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })} (
+                {formatDuration(currentTiming.movingS)})
+              </summary>
+              <div style={{ position: "absolute", right: 0, background: "white", border: "1px solid #ddd", padding: 6, zIndex: 1000 }}>
+                {currentTiming.splits.map((sp) => (
+                  <div key={sp.d} style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+                    <span>{Number.isInteger(sp.km) ? sp.km : sp.km.toFixed(2)} km</span>
+                    <span>{formatDuration(sp.splitS)}</span>
+                    <span style={{ color: "#666" }}>{formatDuration(sp.t)}</span>
+                  </div>
+                ))}
+              </div>
+            </details>
+          )}
+          {currentIssues && <div>Issues: {currentIssues.length}</div>}
           {attemptsTried != null && <div>Tries: {attemptsTried}</div>}
+          {rerouteDistance && (
+            <div title={`Planned ${(rerouteDistance.targetM / 1000).toFixed(2)} km`}>
+              Reroute: {formatDeltaKm(rerouteDistance.deltaBeforeM)}
+              {rerouteDistance.compensation && <> → {formatDeltaKm(rerouteDistance.deltaAfterM)}</>} km
+            </div>
+          )}
           {routeGeo && <div>Blocked: {blockedSegments.size}</div>}
+          {zones.length > 0 && <div>No-go zones: {zones.length}</div>}
         </div>
       </div>
 
-      <MapContainer
-        bounds={EUROPE_BOUNDS}
-        boundsOptions={{ padding: [20, 20] }}
-        style={{ height: "100%", width: "100%" }}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: [showLibrary && "280px", "1fr", (waypoints.length > 0 || cues.length > 0 || candidates.length > 1) && "300px"].filter(Boolean).join(" "),
+          minHeight: 0,
+        }}
       >
-        <TileLayer
-          attribution="&copy; OpenStreetMap contributors"
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        />
-
-        <MapController pos={pos} polyline={polyline} fitAfterGenerate={fitAfterGenerate} />
-
-        {/* Map click behavior:
-            - avoidMode ON: disabled
-            - waypointMode ON: click adds waypoint
-            - else: click sets start location
-        */}
-        <MapClickHandler enabled={mapClickEnabledForStart} onSelect={setPos} />
-        <MapClickHandler enabled={mapClickEnabledForWaypoints} onSelect={addWaypoint} />
-
-        {pos && (
-          <Marker position={[pos.lat, pos.lng]} icon={StartIcon}>
-            <Popup>Start location</Popup>
-          </Marker>
+        {showLibrary && (
+          <RouteLibrary
+            apiBase={API_BASE}
+            draft={libraryDraft}
+            savedId={savedId}
+            onLoad={loadSavedRoute}
+            onSaved={(route) => setSavedId(route?.id ?? null)}
+          />
         )}
 
-        {waypoints.map((wp, i) => (
-          <Marker key={`${wp.lat}-${wp.lng}-${i}`} position={[wp.lat, wp.lng]} icon={WaypointIcon}>
-            <Popup>Waypoint #{i + 1}</Popup>
-          </Marker>
-        ))}
-
-        <RouteSegments
-          polyline={polyline}
-          avoidMode={avoidMode}
-          blockedSegments={blockedSegments}
-          setBlockedSegments={setBlockedSegments}
-          rangeStartIdx={rangeStartIdx}
-          setRangeStartIdx={setRangeStartIdx}
-          setLastBlockedRange={setLastBlockedRange}
-        />
+        <MapContainer
+          bounds={EUROPE_BOUNDS}
+          boundsOptions={{ padding: [20, 20] }}
+          style={{ height: "100%", width: "100%" }}
+        >
+          <TileLayer
+            attribution="&copy; OpenStreetMap contributors"
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
 
+          <MapController pos={pos} polyline={polyline} fitAfterGenerate={fitAfterGenerate} />
+
+          {/* Map click behavior:
+              - avoidMode ON / drawing a no-go zone: disabled
+              - waypointMode ON: click adds waypoint
+              - destinationMode ON: click sets the destination
+              - else: click sets start location
+          */}
+          <MapClickHandler enabled={mapClickEnabledForStart} onSelect={setPos} />
+          <MapClickHandler enabled={mapClickEnabledForWaypoints} onSelect={addWaypoint} />
+          <MapClickHandler enabled={mapClickEnabledForDestination} onSelect={placeDestination} />
+
+          <NoGoZones
+            key={zoneDrawMode ?? "view"}
+            zones={zones}
+            drawMode={zoneDrawMode}
+            disabled={loading}
+            onCreate={createZone}
+            onDelete={deleteZone}
+          />
 
+          {pos && (
+            <Marker position={[pos.lat, pos.lng]} icon={StartIcon}>
+              <Popup>Start location</Popup>
+            </Marker>
+          )}
+
+          {waypoints.map((wp, i) => (
+            <Marker
+              key={`${wp.lat}-${wp.lng}-${i}`}
+              position={[wp.lat, wp.lng]}
+              icon={WaypointIcon}
+              draggable={!loading}
+              eventHandlers={{ dragend: (e) => moveWaypoint(i, e.target.getLatLng()) }}
+            >
+              <Popup>Waypoint #{i + 1}</Popup>
+            </Marker>
+          ))}
+
+          {destination && (
+            <Marker
+              position={[destination.lat, destination.lng]}
+              icon={DestinationIcon}
+              draggable={!loading}
+              eventHandlers={{ dragend: (e) => placeDestination(e.target.getLatLng()) }}
+            >
+              <Popup>Destination</Popup>
+            </Marker>
+          )}
+
+          {candidates.map((c, i) =>
+            i === candidateIdx ? null : (
+              <Polyline
+                key={`candidate-${c.seed}`}
+                positions={geojsonToLatLngs(c.geojson)}
+                pathOptions={{ color: CANDIDATE_COLORS[i % CANDIDATE_COLORS.length], weight: 4, opacity: 0.7, dashArray: "8 6" }}
+                eventHandlers={{ click: () => selectCandidate(i) }}
+              >
+                <Tooltip sticky>
+                  Alternative #{c.rank}: {(c.distM / 1000).toFixed(2)} km, overlap {(c.overlap * 100).toFixed(1)}%
+                </Tooltip>
+              </Polyline>
+            )
+          )}
+
+          <RouteSegments
+            polyline={polyline}
+            avoidMode={avoidMode}
+            blockedSegments={blockedSegments}
+            setBlockedSegments={setBlockedSegments}
+            rangeStartIdx={rangeStartIdx}
+            setRangeStartIdx={setRangeStartIdx}
+            segGrades={segGrades}
+            segSurfaceColors={segSurfaceColors}
+            onHoverLatLng={elevation ? hoverRouteAt : null}
+            onBeforeEdit={checkpoint}
+          />
 
-        <RouteArrows polyline={polyline} />
+          <RouteIssues polyline={polyline} issues={currentIssues} onBlock={blockIssue} />
+
+          {hoverPoint && (
+            <CircleMarker
+              center={[hoverPoint.lat, hoverPoint.lng]}
+              radius={7}
+              pathOptions={{ color: "black", weight: 2, fillColor: "white", fillOpacity: 1 }}
+              interactive={false}
+            />
+          )}
+
+
+
+          {turnaround && (
+            <CircleMarker
+              center={[turnaround.lat, turnaround.lng]}
+              radius={8}
+              pathOptions={{ color: "#e65100", weight: 3, fillColor: "#ffe0b2", fillOpacity: 1 }}
+            >
+              <Tooltip>Turnaround</Tooltip>
+            </CircleMarker>
+          )}
+
+          {activeCue && (
+            <CircleMarker
+              center={[activeCue.lat, activeCue.lng]}
+              radius={9}
+              pathOptions={{ color: "#0d47a1", weight: 3, fillColor: "#e3f2fd", fillOpacity: 1 }}
+              interactive={false}
+            />
+          )}
+
+          <RouteArrows polyline={polyline} />
+
+        </MapContainer>
+
+        {(waypoints.length > 0 || cues.length > 0 || candidates.length > 1) && (
+          <div style={{ display: "flex", flexDirection: "column", minHeight: 0, borderLeft: "1px solid #ddd" }}>
+            <CandidateList
+              candidates={candidates}
+              selectedIdx={candidateIdx}
+              colors={CANDIDATE_COLORS}
+              disabled={loading}
+              onSelect={selectCandidate}
+            />
+            <WaypointList
+              waypoints={waypoints}
+              disabled={loading}
+              onChange={updateWaypoints}
+              onOptimize={optimizeWaypointOrder}
+            />
+            <CueSheet cues={cues} activeIdx={cueIdx} onSelect={setCueIdx} />
+          </div>
+        )}
+      </div>
 
-      </MapContainer>
+      <SurfaceBar routeGeo={routeGeo} />
+      <ElevationChart elevation={elevation} hoverIdx={hoverIdx} onHover={setHoverIdx} />
     </div>
   );
 }
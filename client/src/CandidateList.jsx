@@ -0,0 +1,75 @@
+/**
+ * Alternative loops from one generate click, best score first. Each row's
+ * swatch matches the loop's colour on the map (the selected one is the blue
+ * route); clicking a row selects it. Hovering a row shows how its score
+ * was made up.
+ */
+export default function CandidateList({ candidates, selectedIdx, colors, disabled, onSelect }) {
+  if (candidates.length < 2) return null;
+
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  const scoreTitle = (c) =>
+    c.scoreBreakdown
+      ? [
+          `Score ${c.score.toFixed(3)}`,
+          ...Object.entries(c.scoreBreakdown)
+            .filter(([, v]) => v > 0)
+            .map(([k, v]) => `  ${k}: ${v.toFixed(3)}`),
+        ].join("\n")
+      : undefined;
+
+  return (
+    <div style={{ borderBottom: "1px solid #ddd", fontSize: 13 }}>
+      <div style={{ padding: "8px 12px", fontWeight: "bold", borderBottom: "1px solid #eee" }}>
+        Alternatives ({candidates.length})
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "#666", textAlign: "right" }}>
+            <th />
+            <th style={{ padding: "2px 6px" }}>km</th>
+            <th style={{ padding: "2px 6px" }} title="Distance off target">Δ</th>
+            <th style={{ padding: "2px 6px" }}>Overlap</th>
+            <th style={{ padding: "2px 6px" }}>↑ m</th>
+            <th style={{ padding: "2px 6px" }} title="Short out-and-back spur">Spur</th>
+          </tr>
+        </thead>
+        <tbody>
+          {candidates.map((c, i) => (
+            <tr
+              key={c.seed}
+              onClick={() => !disabled && onSelect(i)}
+              title={scoreTitle(c)}
+              style={{
+                cursor: disabled ? "default" : "pointer",
+                background: i === selectedIdx ? "#e3f2fd" : "transparent",
+                textAlign: "right",
+              }}
+            >
+              <td style={{ padding: "4px 6px 4px 12px", textAlign: "left", whiteSpace: "nowrap" }}>
+                <span
+                  style={{
+                    display: "inline-block",
+                    width: 12,
+                    height: 12,
+                    marginRight: 6,
+                    verticalAlign: "middle",
+                    background: i === selectedIdx ? "blue" : colors[i % colors.length],
+                  }}
+                />
+                #{c.rank}
+              </td>
+              <td style={{ padding: "4px 6px" }}>{(c.distM / 1000).toFixed(2)}</td>
+              <td style={{ padding: "4px 6px" }}>{pct(c.distError)}</td>
+              <td style={{ padding: "4px 6px" }}>{pct(c.overlap)}</td>
+              <td style={{ padding: "4px 6px" }}>
+                {c.elevation ? Math.round(c.elevation.ascentM) : c.ascentM != null ? Math.round(c.ascentM) : "–"}
+              </td>
+              <td style={{ padding: "4px 12px 4px 6px" }}>{c.spur ? "yes" : "no"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
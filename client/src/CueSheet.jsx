@@ -0,0 +1,38 @@
+/**
+ * Turn-by-turn list beside the map. Hovering or clicking a cue reports its
+ * index so the map can mark the spot.
+ */
+export default function CueSheet({ cues, activeIdx, onSelect }) {
+  if (!cues.length) return null;
+
+  return (
+    <div style={{ flex: 1, minHeight: 0, overflowY: "auto", fontSize: 13 }}>
+      <div style={{ padding: "8px 12px", fontWeight: "bold", borderBottom: "1px solid #eee" }}>
+        Cue sheet ({cues.length})
+      </div>
+      <ol style={{ listStyle: "none", margin: 0, padding: 0 }}>
+        {cues.map((c, i) => (
+          <li
+            key={i}
+            onMouseEnter={() => onSelect(i)}
+            onMouseLeave={() => onSelect(null)}
+            onClick={() => onSelect(i)}
+            style={{
+              display: "grid",
+              gridTemplateColumns: "20px 1fr auto",
+              gap: 8,
+              padding: "6px 12px",
+              cursor: "pointer",
+              background: i === activeIdx ? "#e3f2fd" : "transparent",
+              borderBottom: "1px solid #f3f3f3",
+            }}
+          >
+            <span style={{ fontSize: 16, lineHeight: "16px" }}>{c.arrow}</span>
+            <span>{c.instruction}</span>
+            <span style={{ color: "#666", whiteSpace: "nowrap" }}>{(c.d / 1000).toFixed(2)} km</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useRef } from "react";
+import { GRADE_BANDS, gradeColor } from "./grade";
+
+const HEIGHT = 120;
+const PAD_TOP = 8;
+const PAD_BOTTOM = 4;
+
+/**
+ * Elevation profile under the map. Each slice between two profile points is
+ * filled in its grade colour; hovering reports the nearest point index.
+ */
+export default function ElevationChart({ elevation, hoverIdx, onHover }) {
+  const svgRef = useRef(null);
+  const profile = elevation?.profile;
+  if (!profile || profile.length < 2) return null;
+
+  const totalD = profile[profile.length - 1].d || 1;
+  const minE = Math.min(...profile.map((p) => p.ele));
+  const maxE = Math.max(...profile.map((p) => p.ele));
+  const span = Math.max(10, maxE - minE);
+
+  // viewBox is 1000 wide; x stretches to the panel width
+  const x = (d) => (d / totalD) * 1000;
+  const y = (ele) => PAD_TOP + (1 - (ele - minE) / span) * (HEIGHT - PAD_TOP - PAD_BOTTOM);
+
+  const slices = [];
+  for (let k = 0; k < profile.length - 1; k++) {
+    const a = profile[k];
+    const b = profile[k + 1];
+    slices.push(
+      <polygon
+        key={k}
+        points={`${x(a.d)},${HEIGHT} ${x(a.d)},${y(a.ele)} ${x(b.d)},${y(b.ele)} ${x(b.d)},${HEIGHT}`}
+        fill={gradeColor(b.grade)}
+        stroke="none"
+      />
+    );
+  }
+
+  const outline = profile.map((p) => `${x(p.d)},${y(p.ele)}`).join(" ");
+
+  function handleMove(e) {
+    const rect = svgRef.current.getBoundingClientRect();
+    const d = ((e.clientX - rect.left) / rect.width) * totalD;
+    let best = 0;
+    for (let k = 1; k < profile.length; k++) {
+      if (Math.abs(profile[k].d - d) < Math.abs(profile[best].d - d)) best = k;
+    }
+    onHover(best);
+  }
+
+  const hover = hoverIdx != null ? profile[hoverIdx] : null;
+
+  return (
+    <div style={{ borderTop: "1px solid #ddd", padding: "6px 12px", position: "relative" }}>
+      <div style={{ display: "flex", gap: 16, fontSize: 13, marginBottom: 4, flexWrap: "wrap" }}>
+        <strong>Elevation</strong>
+        <span>↑ {Math.round(elevation.ascentM)} m</span>
+        <span>↓ {Math.round(elevation.descentM)} m</span>
+        <span>max grade {elevation.maxGradePct.toFixed(1)}%</span>
+        <span>
+          {Math.round(elevation.minEleM)}–{Math.round(elevation.maxEleM)} m
+        </span>
+        {hover && (
+          <span style={{ marginLeft: "auto" }}>
+            {(hover.d / 1000).toFixed(2)} km · {Math.round(hover.ele)} m · {hover.grade.toFixed(1)}%
+          </span>
+        )}
+        <span style={{ display: "flex", gap: 8, marginLeft: hover ? 0 : "auto" }}>
+          {GRADE_BANDS.map((b) => (
+            <span key={b.min} style={{ display: "flex", gap: 3, alignItems: "center" }}>
+              <span style={{ width: 10, height: 10, background: b.color, display: "inline-block" }} />
+              {b.label}
+            </span>
+          ))}
+        </span>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 1000 ${HEIGHT}`}
+        preserveAspectRatio="none"
+        style={{ width: "100%", height: HEIGHT, display: "block", cursor: "crosshair" }}
+        onMouseMove={handleMove}
+        onMouseLeave={() => onHover(null)}
+      >
+        {slices}
+        <polyline points={outline} fill="none" stroke="#333" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+        {hover && (
+          <line
+            x1={x(hover.d)}
+            x2={x(hover.d)}
+            y1={0}
+            y2={HEIGHT}
+            stroke="black"
+            strokeWidth="1"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+    </div>
+  );
+}
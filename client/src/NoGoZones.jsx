@@ -0,0 +1,124 @@
+import { useEffect, useState } from "react";
+import { Circle, CircleMarker, Polygon, Polyline, Popup, useMap, useMapEvents } from "react-leaflet";
+
+const ZONE_STYLE = { color: "#c62828", weight: 2, fillColor: "#e53935", fillOpacity: 0.2 };
+const DRAFT_STYLE = { ...ZONE_STYLE, dashArray: "6 4" };
+
+const MIN_RADIUS_M = 5;
+const MAX_RADIUS_M = 5000;
+
+/**
+ * No-go zones on the map (inside MapContainer): the saved ones, plus drawing
+ * a new one when drawMode is set.
+ *   polygon: click to add corners, double-click to finish
+ *   circle:  click the centre, move out, click again to set the radius
+ * Escape cancels the shape being drawn. Give it key={drawMode} so switching
+ * modes starts from scratch.
+ */
+export default function NoGoZones({ zones, drawMode, disabled, onCreate, onDelete }) {
+  const map = useMap();
+  const [points, setPoints] = useState([]); // polygon corners / [circle centre]
+  const [cursor, setCursor] = useState(null);
+
+  // a double-click finishes the polygon instead of zooming in
+  useEffect(() => {
+    if (drawMode !== "polygon") return;
+    map.doubleClickZoom.disable();
+    return () => map.doubleClickZoom.enable();
+  }, [map, drawMode]);
+
+  function reset() {
+    setPoints([]);
+    setCursor(null);
+  }
+
+  function finishPolygon() {
+    // the two clicks of the double-click land on the same spot
+    const corners = points.filter(
+      (p, i) => i === 0 || p.lat !== points[i - 1].lat || p.lng !== points[i - 1].lng
+    );
+    if (corners.length < 3) return;
+    reset();
+    onCreate({ kind: "polygon", points: corners });
+  }
+
+  function clampRadius(m) {
+    return Math.max(MIN_RADIUS_M, Math.min(MAX_RADIUS_M, Math.round(m)));
+  }
+
+  useMapEvents({
+    click(e) {
+      if (!drawMode || disabled) return;
+      const p = { lat: e.latlng.lat, lng: e.latlng.lng };
+
+      if (drawMode === "polygon") {
+        setPoints((prev) => [...prev, p]);
+      } else if (points.length === 0) {
+        setPoints([p]);
+      } else {
+        const radiusM = clampRadius(map.distance([points[0].lat, points[0].lng], e.latlng));
+        reset();
+        onCreate({ kind: "circle", center: points[0], radiusM });
+      }
+    },
+    dblclick() {
+      if (drawMode === "polygon" && !disabled) finishPolygon();
+    },
+    mousemove(e) {
+      if (drawMode && points.length > 0) setCursor(e.latlng);
+    },
+    keydown(e) {
+      if (e.originalEvent.key === "Escape") reset();
+    },
+  });
+
+  return (
+    <>
+      {zones.map((z) => {
+        const popup = (
+          <Popup>
+            <div style={{ display: "grid", gap: 6 }}>
+              <strong>{z.name || "No-go zone"}</strong>
+              <span>{z.kind === "circle" ? `Circle, ${z.radiusM} m radius` : `Polygon, ${z.points.length} corners`}</span>
+              <button onClick={() => onDelete(z)} disabled={disabled}>
+                Delete zone
+              </button>
+            </div>
+          </Popup>
+        );
+
+        return z.kind === "circle" ? (
+          <Circle key={z.id} center={[z.center.lat, z.center.lng]} radius={z.radiusM} pathOptions={ZONE_STYLE} interactive={!drawMode}>
+            {popup}
+          </Circle>
+        ) : (
+          <Polygon key={z.id} positions={z.points.map((p) => [p.lat, p.lng])} pathOptions={ZONE_STYLE} interactive={!drawMode}>
+            {popup}
+          </Polygon>
+        );
+      })}
+
+      {drawMode === "polygon" && points.length > 0 && (
+        <Polyline
+          positions={[...points, ...(cursor ? [cursor] : [])].map((p) => [p.lat, p.lng])}
+          pathOptions={DRAFT_STYLE}
+          interactive={false}
+        />
+      )}
+
+      {drawMode === "circle" && points.length > 0 && (
+        <>
+          <CircleMarker center={[points[0].lat, points[0].lng]} radius={4} pathOptions={ZONE_STYLE} interactive={false} />
+          {cursor && (
+            <Circle
+              center={[points[0].lat, points[0].lng]}
+              radius={clampRadius(map.distance([points[0].lat, points[0].lng], cursor))}
+              pathOptions={DRAFT_STYLE}
+              interactive={false}
+            />
+          )}
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,61 @@
+import { Fragment } from "react";
+import { Polyline, CircleMarker, Popup, Tooltip } from "react-leaflet";
+
+// Issue types of /api/analyze. One colour for all of them: red, orange and
+// the grade colours are taken by the route itself.
+const ISSUE_COLOR = "#d81b60";
+const ISSUE_LABELS = {
+  spur: "Spur",
+  overlap: "Overlap",
+  crossing: "Self-crossing",
+  jump: "Coordinate jump",
+  "u-turn": "U-turn",
+};
+
+/**
+ * Route segments (segment i = polyline[i] -> polyline[i+1]) that make up an
+ * issue: [lo, hi]. Point issues (U-turns) take the segments either side.
+ */
+function issueSegments(issue, segmentCount) {
+  const lo = issue.toIdx > issue.fromIdx ? issue.fromIdx : issue.fromIdx - 1;
+  const hi = issue.toIdx > issue.fromIdx ? issue.toIdx - 1 : issue.fromIdx;
+  return [Math.max(0, lo), Math.min(segmentCount - 1, hi)];
+}
+
+/**
+ * Issues of the route on the map: the stretch highlighted, a marker with the
+ * explanation and a button that blocks exactly that stretch (onBlock(lo, hi),
+ * segment indices).
+ */
+export default function RouteIssues({ polyline, issues, onBlock }) {
+  if (!polyline || polyline.length < 2 || !issues) return null;
+
+  return issues.map((issue, k) => {
+    const [lo, hi] = issueSegments(issue, polyline.length - 1);
+    return (
+      <Fragment key={`issue-${k}`}>
+        {issue.toIdx > issue.fromIdx && (
+          <Polyline
+            positions={polyline.slice(lo, hi + 2)}
+            pathOptions={{ color: ISSUE_COLOR, weight: 9, opacity: 0.5, dashArray: "6 6" }}
+            interactive={false}
+          />
+        )}
+        <CircleMarker
+          center={[issue.at.lat, issue.at.lng]}
+          radius={7}
+          pathOptions={{ color: ISSUE_COLOR, weight: 2, fillColor: "white", fillOpacity: 1 }}
+        >
+          <Tooltip>{ISSUE_LABELS[issue.type] ?? issue.type}</Tooltip>
+          <Popup>
+            <div style={{ display: "grid", gap: 6, maxWidth: 220 }}>
+              <strong>{ISSUE_LABELS[issue.type] ?? issue.type}</strong>
+              <span>{issue.message}</span>
+              <button onClick={() => onBlock(lo, hi)}>Block this part</button>
+            </div>
+          </Popup>
+        </CircleMarker>
+      </Fragment>
+    );
+  });
+}
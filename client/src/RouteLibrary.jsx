@@ -0,0 +1,155 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Saved-routes sidebar: save the current route, search the library, load or
+ * delete saved routes. `draft` is the current route in the shape the server
+ * stores (null when there is nothing to save); `savedId` is the library entry
+ * the current route was loaded from or saved as.
+ */
+export default function RouteLibrary({ apiBase, draft, savedId, onLoad, onSaved }) {
+  const [routes, setRoutes] = useState([]);
+  const [query, setQuery] = useState("");
+  const [tags, setTags] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ q: query });
+
+    // small delay so typing a search does not fire a request per key
+    const timer = setTimeout(async () => {
+      try {
+        const resp = await fetch(`${apiBase}/api/routes?${params}`);
+        if (!resp.ok) throw new Error(await resp.text());
+        const data = await resp.json();
+        if (!cancelled) setRoutes(data.routes);
+      } catch (e) {
+        if (!cancelled) console.error("Loading saved routes failed", e);
+      }
+    }, 200);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiBase, query, reloadKey]);
+
+  async function request(method, path, body) {
+    setBusy(true);
+    try {
+      const resp = await fetch(`${apiBase}${path}`, {
+        method,
+        headers: body ? { "Content-Type": "application/json" } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (!resp.ok) throw new Error(await resp.text());
+      return resp.status === 204 ? null : await resp.json();
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function save(asNew) {
+    if (!draft) return;
+    try {
+      const body = { ...draft, tags };
+      const route = asNew || !savedId
+        ? await request("POST", "/api/routes", body)
+        : await request("PUT", `/api/routes/${savedId}`, body);
+      onSaved(route);
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      alert("Saving route failed:\n" + e.message);
+    }
+  }
+
+  async function load(id) {
+    try {
+      const route = await request("GET", `/api/routes/${id}`);
+      setTags(route.tags.join(", "));
+      onLoad(route);
+    } catch (e) {
+      alert("Loading route failed:\n" + e.message);
+    }
+  }
+
+  async function remove(route) {
+    if (!confirm(`Delete "${route.name}"?`)) return;
+    try {
+      await request("DELETE", `/api/routes/${route.id}`);
+      if (route.id === savedId) onSaved(null);
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      alert("Deleting route failed:\n" + e.message);
+    }
+  }
+
+  return (
+    <div style={{ borderRight: "1px solid #ddd", overflowY: "auto", fontSize: 13, display: "flex", flexDirection: "column" }}>
+      <div style={{ padding: "8px 12px", borderBottom: "1px solid #eee", display: "grid", gap: 6 }}>
+        <strong>Library</strong>
+        <input
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="Tags (comma separated)"
+          disabled={!draft}
+        />
+        <div style={{ display: "flex", gap: 6 }}>
+          <button onClick={() => save(false)} disabled={!draft || busy}>
+            {savedId ? "Update saved" : "Save route"}
+          </button>
+          {savedId && (
+            <button onClick={() => save(true)} disabled={!draft || busy}>
+              Save as new
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div style={{ padding: "8px 12px", borderBottom: "1px solid #eee" }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search name or tag"
+          style={{ width: "100%", boxSizing: "border-box" }}
+        />
+      </div>
+
+      {routes.length === 0 && <div style={{ padding: 12, color: "#666" }}>No saved routes</div>}
+
+      <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+        {routes.map((r) => (
+          <li
+            key={r.id}
+            style={{
+              padding: "8px 12px",
+              borderBottom: "1px solid #f3f3f3",
+              background: r.id === savedId ? "#e3f2fd" : "transparent",
+            }}
+          >
+            <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+              <strong style={{ cursor: "pointer" }} onClick={() => load(r.id)}>
+                {r.name}
+              </strong>
+              {r.stats?.distM != null && <span>{(r.stats.distM / 1000).toFixed(1)} km</span>}
+            </div>
+            <div style={{ color: "#666", marginTop: 2 }}>
+              {r.tags.length > 0 && <span>{r.tags.map((t) => `#${t}`).join(" ")} · </span>}
+              {new Date(r.updatedAt).toLocaleDateString()}
+            </div>
+            <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+              <button onClick={() => load(r.id)} disabled={busy}>
+                Load
+              </button>
+              <button onClick={() => remove(r)} disabled={busy}>
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { surfaceSummary } from "./surfaces";
+
+/**
+ * One bar split by surface (share of the route's distance), with a legend.
+ * Nothing when the route has no surface details.
+ */
+export default function SurfaceBar({ routeGeo }) {
+  const surfaces = surfaceSummary(routeGeo);
+  if (surfaces.length === 0) return null;
+
+  return (
+    <div style={{ padding: "6px 12px", borderTop: "1px solid #ddd", display: "grid", gap: 4 }}>
+      <div style={{ display: "flex", height: 12, borderRadius: 3, overflow: "hidden" }}>
+        {surfaces.map((s) => (
+          <div
+            key={s.value}
+            style={{ width: `${s.amount}%`, background: s.color }}
+            title={`${s.label}: ${s.amount.toFixed(0)}%`}
+          />
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", fontSize: 12, color: "#444" }}>
+        {surfaces.map((s) => (
+          <span key={s.value} style={{ display: "flex", gap: 4, alignItems: "center" }}>
+            <span style={{ width: 10, height: 10, background: s.color, display: "inline-block" }} />
+            {s.label} {s.amount.toFixed(0)}%
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
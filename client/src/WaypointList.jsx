@@ -0,0 +1,55 @@
+/**
+ * Waypoints in visiting order: move up/down, delete, clear, and let the
+ * server pick the order ("distance" = shortest tour, "overlap" = fewest
+ * repeated roads).
+ */
+export default function WaypointList({ waypoints, disabled, onChange, onOptimize }) {
+  if (!waypoints.length) return null;
+
+  function move(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= waypoints.length) return;
+    const next = [...waypoints];
+    [next[i], next[j]] = [next[j], next[i]];
+    onChange(next);
+  }
+
+  return (
+    <div style={{ borderBottom: "1px solid #ddd", fontSize: 13 }}>
+      <div style={{ padding: "8px 12px", fontWeight: "bold", borderBottom: "1px solid #eee" }}>
+        Waypoints ({waypoints.length})
+      </div>
+      <ol style={{ margin: 0, padding: "4px 12px 4px 32px" }}>
+        {waypoints.map((wp, i) => (
+          <li key={`${wp.lat}-${wp.lng}-${i}`} style={{ padding: "3px 0" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              <span style={{ flex: 1, color: "#444" }}>
+                {wp.lat.toFixed(4)}, {wp.lng.toFixed(4)}
+              </span>
+              <button onClick={() => move(i, -1)} disabled={disabled || i === 0} title="Visit earlier">
+                ↑
+              </button>
+              <button onClick={() => move(i, 1)} disabled={disabled || i === waypoints.length - 1} title="Visit later">
+                ↓
+              </button>
+              <button onClick={() => onChange(waypoints.filter((_, k) => k !== i))} disabled={disabled} title="Delete">
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <div style={{ display: "flex", gap: 6, padding: "4px 12px 8px", flexWrap: "wrap" }}>
+        <button onClick={() => onOptimize("distance")} disabled={disabled || waypoints.length < 2}>
+          Shortest order
+        </button>
+        <button onClick={() => onOptimize("overlap")} disabled={disabled || waypoints.length < 2}>
+          Least overlap
+        </button>
+        <button onClick={() => onChange([])} disabled={disabled}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
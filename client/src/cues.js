@@ -0,0 +1,40 @@
+// Turn-by-turn cues from the route's ORS-style steps (way_points index the
+// route coordinates). Departure and arrival are left out: every route starts
+// at the start marker and loops back to it.
+const DEPART = 11;
+const GOAL = 10;
+
+// step type -> arrow shown in the cue list
+const ARROWS = {
+  0: "←", 1: "→", 2: "↙", 3: "↘", 4: "↖", 5: "↗", 6: "↑",
+  7: "⟳", 8: "⟳", 9: "↶", 12: "↖", 13: "↗",
+};
+
+function distM([lng1, lat1], [lng2, lat2]) {
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const a =
+    Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * [{ instruction, arrow, d, lat, lng }] with d = metres from the start.
+ */
+export function routeCues(geojson) {
+  const feature = geojson?.features?.[0];
+  const coords = feature?.geometry?.coordinates;
+  const steps = (feature?.properties?.segments || []).flatMap((s) => s.steps || []);
+  if (!coords || coords.length < 2 || steps.length === 0) return [];
+
+  const cum = [0];
+  for (let i = 1; i < coords.length; i++) cum.push(cum[i - 1] + distM(coords[i - 1], coords[i]));
+
+  return steps
+    .filter((s) => s.type !== DEPART && s.type !== GOAL && coords[s.way_points?.[0]])
+    .map((s) => {
+      const [lng, lat] = coords[s.way_points[0]];
+      return { instruction: s.instruction, arrow: ARROWS[s.type] ?? "•", d: cum[s.way_points[0]], lat, lng };
+    });
+}
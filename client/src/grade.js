@@ -0,0 +1,49 @@
+// Grade (%) -> colour, shared by the elevation chart and the route line.
+// Red is taken by blocked segments, so the steepest band is purple.
+export const GRADE_BANDS = [
+  { min: 10, color: "#8e24aa", label: "≥ 10%" },
+  { min: 6, color: "#f57c00", label: "6–10%" },
+  { min: 3, color: "#fbc02d", label: "3–6%" },
+  { min: 0, color: "#1e88e5", label: "< 3%" },
+];
+
+export function gradeColor(grade) {
+  const g = Math.abs(grade ?? 0);
+  return GRADE_BANDS.find((b) => g >= b.min).color;
+}
+
+/**
+ * Steepest |grade| per route segment (segment i = polyline[i] -> polyline[i+1]),
+ * from the server's elevation profile. Segments without samples get null.
+ */
+export function segmentGrades(profile, segmentCount) {
+  const out = new Array(segmentCount).fill(null);
+  if (!profile) return out;
+  for (const p of profile) {
+    if (p.i >= segmentCount) continue;
+    const g = Math.abs(p.grade);
+    if (out[p.i] == null || g > out[p.i]) out[p.i] = g;
+  }
+  return out;
+}
+
+/**
+ * Index of the profile point nearest to a lat/lng (plain degree distance,
+ * good enough at route scale).
+ */
+export function nearestProfileIndex(profile, lat, lng) {
+  if (!profile?.length) return null;
+  const kx = Math.cos((lat * Math.PI) / 180);
+  let best = 0;
+  let bestD = Infinity;
+  profile.forEach((p, k) => {
+    const dx = (p.lng - lng) * kx;
+    const dy = p.lat - lat;
+    const d = dx * dx + dy * dy;
+    if (d < bestD) {
+      bestD = d;
+      best = k;
+    }
+  });
+  return best;
+}
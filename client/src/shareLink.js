@@ -0,0 +1,113 @@
+// Share links: the route, start, waypoints and settings packed into the URL
+// fragment (never sent to a server). The route line is a Google encoded
+// polyline at 1e-5° (~1 m) precision.
+//
+//   #r=<polyline>&s=<lat>,<lng>&w=<lat>,<lng>;...&e=<lat>,<lng>&h=<shape>&k=<petals>&d=<km>&p=<profile>&n=<name>
+//
+// e (destination), h (shape, when not a loop) and k (cloverleaf only) are optional.
+
+const PRECISION = 1e5;
+
+function encodeValue(v) {
+  let n = v < 0 ? ~(v << 1) : v << 1;
+  let out = "";
+  while (n >= 0x20) {
+    out += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+    n >>= 5;
+  }
+  return out + String.fromCharCode(n + 63);
+}
+
+// [[lat, lng], ...] -> polyline string
+export function encodePolyline(latLngs) {
+  let prevLat = 0;
+  let prevLng = 0;
+  let out = "";
+  for (const [lat, lng] of latLngs) {
+    const ilat = Math.round(lat * PRECISION);
+    const ilng = Math.round(lng * PRECISION);
+    out += encodeValue(ilat - prevLat) + encodeValue(ilng - prevLng);
+    prevLat = ilat;
+    prevLng = ilng;
+  }
+  return out;
+}
+
+// polyline string -> [[lat, lng], ...]
+export function decodePolyline(str) {
+  const out = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < str.length) {
+    const deltas = [];
+    for (let axis = 0; axis < 2; axis++) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = str.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      deltas.push(result & 1 ? ~(result >> 1) : result >> 1);
+    }
+    lat += deltas[0];
+    lng += deltas[1];
+    out.push([lat / PRECISION, lng / PRECISION]);
+  }
+  return out;
+}
+
+const fmt = (x) => Number(x.toFixed(5));
+const pair = ({ lat, lng }) => `${fmt(lat)},${fmt(lng)}`;
+
+function parsePair(s) {
+  const [lat, lng] = String(s).split(",").map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+/**
+ * state: { polyline: [[lat,lng],...], pos, waypoints, destination, shape, petals, distanceKm, profile, name }
+ * Returns the fragment without the leading "#".
+ */
+export function buildShareFragment({ polyline, pos, waypoints, destination, shape, petals, distanceKm, profile, name }) {
+  const params = new URLSearchParams();
+  params.set("r", encodePolyline(polyline));
+  if (pos) params.set("s", pair(pos));
+  if (waypoints?.length) params.set("w", waypoints.map(pair).join(";"));
+  if (destination) params.set("e", pair(destination));
+  if (shape && shape !== "loop") params.set("h", shape);
+  if (shape === "cloverleaf" && petals) params.set("k", String(petals));
+  params.set("d", String(distanceKm));
+  params.set("p", profile);
+  if (name) params.set("n", name);
+  return params.toString();
+}
+
+/**
+ * Inverse of buildShareFragment; null when the fragment holds no route.
+ */
+export function parseShareFragment(hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ""));
+  const encoded = params.get("r");
+  if (!encoded) return null;
+
+  const polyline = decodePolyline(encoded);
+  if (polyline.length < 2) return null;
+
+  const distanceKm = Number(params.get("d"));
+  const petals = Number(params.get("k"));
+  return {
+    polyline,
+    pos: parsePair(params.get("s")) ?? { lat: polyline[0][0], lng: polyline[0][1] },
+    waypoints: (params.get("w") || "").split(";").map(parsePair).filter(Boolean),
+    destination: parsePair(params.get("e")),
+    shape: params.get("h") || "loop",
+    petals: Number.isInteger(petals) && petals > 0 ? petals : null,
+    distanceKm: Number.isFinite(distanceKm) && distanceKm > 0 ? distanceKm : null,
+    profile: params.get("p"),
+    name: params.get("n") || "",
+  };
+}
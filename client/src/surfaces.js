@@ -0,0 +1,52 @@
+// Surface of the route from its ORS-style extras (server/routing/extras.js):
+// colours for the route line and the surface bar. Paved surfaces are greys
+// and blues, unpaved ones browns and greens; red and orange stay free for
+// blocked roads.
+export const SURFACES = {
+  0: { label: "Unknown", color: "#bdbdbd" },
+  1: { label: "Paved", color: "#546e7a" },
+  2: { label: "Unpaved", color: "#a1887f" },
+  3: { label: "Asphalt", color: "#37474f" },
+  4: { label: "Concrete", color: "#78909c" },
+  5: { label: "Cobblestone", color: "#5c6bc0" },
+  6: { label: "Metal", color: "#90a4ae" },
+  7: { label: "Wood", color: "#8d6e63" },
+  8: { label: "Compacted gravel", color: "#bcaaa4" },
+  9: { label: "Fine gravel", color: "#d7ccc8" },
+  10: { label: "Gravel", color: "#a1887f" },
+  11: { label: "Dirt", color: "#6d4c41" },
+  12: { label: "Ground", color: "#795548" },
+  13: { label: "Ice", color: "#b3e5fc" },
+  14: { label: "Paving stones", color: "#7986cb" },
+  15: { label: "Sand", color: "#ffe082" },
+  16: { label: "Woodchips", color: "#a1887f" },
+  17: { label: "Grass", color: "#66bb6a" },
+  18: { label: "Grass paver", color: "#9ccc65" },
+};
+
+function surfaceExtra(geojson) {
+  return geojson?.features?.[0]?.properties?.extras?.surface ?? null;
+}
+
+/**
+ * Share of the route per surface, longest first:
+ * [{ value, label, color, amount (%) }]. [] without surface extras.
+ */
+export function surfaceSummary(geojson) {
+  return (surfaceExtra(geojson)?.summary ?? [])
+    .filter((s) => s.amount > 0)
+    .map((s) => ({ value: s.value, amount: s.amount, ...(SURFACES[s.value] ?? SURFACES[0]) }));
+}
+
+/**
+ * Surface colour per route segment (segment i = polyline[i] -> polyline[i+1]);
+ * null where the extras say nothing.
+ */
+export function segmentSurfaceColors(geojson, segmentCount) {
+  const out = new Array(segmentCount).fill(null);
+  for (const [from, to, value] of surfaceExtra(geojson)?.values ?? []) {
+    const color = (SURFACES[value] ?? SURFACES[0]).color;
+    for (let i = from; i < to && i < segmentCount; i++) out[i] = color;
+  }
+  return out;
+}
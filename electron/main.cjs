@@ -1,5 +1,6 @@
 const { app, BrowserWindow } = require("electron");
 const path = require("path");
+const fs = require("fs");
 const { spawn } = require("child_process");
 
 let serverProcess = null;
@@ -14,13 +15,33 @@ function createWindow() {
   win.loadFile(indexPath);
 }
 
+// Offline routing: a region extract dropped into the user data folder
+// (e.g. region.osm.pbf for Flanders) lets the server plan without ORS.
+function findOsmExtract() {
+  const dir = app.getPath("userData");
+  for (const name of ["region.osm.pbf", "region.osm"]) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
 app.whenReady().then(() => {
   const serverPath = app.isPackaged
     ? path.join(process.resourcesPath, "server", "index.js")
     : path.join(__dirname, "..", "server", "index.js");
 
+  const env = { ...process.env, PORT: "5050" };
+  const extract = process.env.OSM_EXTRACT_PATH || findOsmExtract();
+  if (extract) env.OSM_EXTRACT_PATH = extract;
+  // saved routes, zones and the routing cache live with the user's data, not
+  // inside the (read-only) app bundle
+  env.ROUTES_FILE = process.env.ROUTES_FILE || path.join(app.getPath("userData"), "routes.json");
+  env.ZONES_FILE = process.env.ZONES_FILE || path.join(app.getPath("userData"), "zones.json");
+  env.ROUTING_CACHE_DIR = process.env.ROUTING_CACHE_DIR || path.join(app.getPath("userData"), "routing-cache");
+
   serverProcess = spawn(process.execPath, [serverPath], {
-    env: { ...process.env, PORT: "5050" },
+    env,
     stdio: "ignore",
     windowsHide: true,
   });
@@ -0,0 +1,165 @@
+// server/elevation/geotiff.js
+// Minimal GeoTIFF DEM reader: single-band, strips or tiles, uncompressed or
+// Deflate (with optional horizontal predictor), in a WGS84 lon/lat grid.
+// Good enough for SRTM/Copernicus exports; anything else is rejected.
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+function readIfd(buf, little, offset, bigTiff) {
+  const u16 = (o) => (little ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (little ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const u64 = (o) => Number(little ? buf.readBigUInt64LE(o) : buf.readBigUInt64BE(o));
+
+  const count = bigTiff ? u64(offset) : u16(offset);
+  const entrySize = bigTiff ? 20 : 12;
+  const start = offset + (bigTiff ? 8 : 2);
+  const tags = {};
+
+  for (let i = 0; i < count; i++) {
+    const e = start + i * entrySize;
+    const tag = u16(e);
+    const type = u16(e + 2);
+    const n = bigTiff ? u64(e + 4) : u32(e + 4);
+    const size = (TYPE_SIZES[type] || 1) * n;
+    const inline = size <= (bigTiff ? 8 : 4);
+    const valueOffset = inline ? e + (bigTiff ? 12 : 8) : bigTiff ? u64(e + 12) : u32(e + 8);
+
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      const o = valueOffset + k * (TYPE_SIZES[type] || 1);
+      switch (type) {
+        case 1: case 7: values.push(buf[o]); break;
+        case 2: values.push(buf[o]); break;
+        case 3: values.push(u16(o)); break;
+        case 4: values.push(u32(o)); break;
+        case 8: values.push(little ? buf.readInt16LE(o) : buf.readInt16BE(o)); break;
+        case 9: values.push(little ? buf.readInt32LE(o) : buf.readInt32BE(o)); break;
+        case 11: values.push(little ? buf.readFloatLE(o) : buf.readFloatBE(o)); break;
+        case 12: values.push(little ? buf.readDoubleLE(o) : buf.readDoubleBE(o)); break;
+        case 16: values.push(u64(o)); break;
+        default: values.push(null);
+      }
+    }
+
+    tags[tag] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, "") : values;
+  }
+
+  return tags;
+}
+
+function sampleReader(little, bits, format) {
+  if (format === 3 && bits === 32) return (b, o) => (little ? b.readFloatLE(o) : b.readFloatBE(o));
+  if (format === 3 && bits === 64) return (b, o) => (little ? b.readDoubleLE(o) : b.readDoubleBE(o));
+  if (format === 2 && bits === 16) return (b, o) => (little ? b.readInt16LE(o) : b.readInt16BE(o));
+  if (format === 2 && bits === 32) return (b, o) => (little ? b.readInt32LE(o) : b.readInt32BE(o));
+  if (format === 1 && bits === 16) return (b, o) => (little ? b.readUInt16LE(o) : b.readUInt16BE(o));
+  if (format === 1 && bits === 32) return (b, o) => (little ? b.readUInt32LE(o) : b.readUInt32BE(o));
+  if (bits === 8) return (b, o) => b[o];
+  return null;
+}
+
+// Undo TIFF predictor 2 (horizontal differencing) for integer samples in place
+function undoPredictor(block, blockWidth, bytesPerSample, little) {
+  const rows = block.length / (blockWidth * bytesPerSample);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 1; c < blockWidth; c++) {
+      const o = (r * blockWidth + c) * bytesPerSample;
+      const p = o - bytesPerSample;
+      if (bytesPerSample === 2) {
+        const v = (little ? block.readUInt16LE(o) + block.readUInt16LE(p) : block.readUInt16BE(o) + block.readUInt16BE(p)) & 0xffff;
+        if (little) block.writeUInt16LE(v, o);
+        else block.writeUInt16BE(v, o);
+      } else if (bytesPerSample === 4) {
+        const v = (little ? block.readUInt32LE(o) + block.readUInt32LE(p) : block.readUInt32BE(o) + block.readUInt32BE(p)) >>> 0;
+        if (little) block.writeUInt32LE(v, o);
+        else block.writeUInt32BE(v, o);
+      } else {
+        block[o] = (block[o] + block[p]) & 0xff;
+      }
+    }
+  }
+}
+
+export function loadGeoTiff(filePath) {
+  const buf = fs.readFileSync(filePath);
+  const name = path.basename(filePath);
+
+  const order = buf.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") throw new Error(`${name} is not a TIFF file`);
+  const little = order === "II";
+  const magic = little ? buf.readUInt16LE(2) : buf.readUInt16BE(2);
+  const bigTiff = magic === 43;
+  const firstIfd = bigTiff
+    ? Number(little ? buf.readBigUInt64LE(8) : buf.readBigUInt64BE(8))
+    : little ? buf.readUInt32LE(4) : buf.readUInt32BE(4);
+
+  const t = readIfd(buf, little, firstIfd, bigTiff);
+
+  const width = t[256][0];
+  const height = t[257][0];
+  const bits = t[258]?.[0] ?? 8;
+  const compression = t[259]?.[0] ?? 1;
+  const samplesPerPixel = t[277]?.[0] ?? 1;
+  const predictor = t[317]?.[0] ?? 1;
+  const format = t[339]?.[0] ?? 1;
+  const scale = t[33550];
+  const tie = t[33922];
+  const nodata = t[42113] != null ? Number(t[42113]) : null;
+
+  if (samplesPerPixel !== 1) throw new Error(`${name}: only single-band DEMs are supported`);
+  if (![1, 8, 32946].includes(compression)) throw new Error(`${name}: unsupported TIFF compression ${compression}`);
+  if (!scale || !tie) throw new Error(`${name}: missing GeoTIFF georeferencing`);
+
+  const read = sampleReader(little, bits, format);
+  if (!read) throw new Error(`${name}: unsupported sample type (${bits}-bit, format ${format})`);
+  const bytesPerSample = bits / 8;
+
+  const tiled = t[322] != null;
+  const blockW = tiled ? t[322][0] : width;
+  const blockH = tiled ? t[323][0] : t[278]?.[0] ?? height;
+  const offsets = tiled ? t[324] : t[273];
+  const counts = tiled ? t[325] : t[279];
+  const blocksAcross = Math.ceil(width / blockW);
+
+  const cache = new Map();
+  function block(index) {
+    let b = cache.get(index);
+    if (b) return b;
+
+    const raw = buf.subarray(offsets[index], offsets[index] + counts[index]);
+    b = compression === 1 ? Buffer.from(raw) : zlib.inflateSync(raw);
+    if (predictor === 2 && format !== 3) undoPredictor(b, blockW, bytesPerSample, little);
+    cache.set(index, b);
+    return b;
+  }
+
+  // tie point maps raster (i,j) to model (x,y); x = lon, y = lat
+  const [i0, j0, , x0, y0] = tie;
+  const [sx, sy] = scale;
+  const originX = x0 - i0 * sx;
+  const originY = y0 + j0 * sy;
+
+  return {
+    bounds: { west: originX, north: originY, east: originX + width * sx, south: originY - height * sy },
+    width,
+    height,
+    pixelAt(col, row) {
+      const bx = Math.floor(col / blockW);
+      const by = Math.floor(row / blockH);
+      const b = block(by * blocksAcross + bx);
+      const o = ((row - by * blockH) * blockW + (col - bx * blockW)) * bytesPerSample;
+      if (o + bytesPerSample > b.length) return null;
+      const v = read(b, o);
+      if (!Number.isFinite(v) || v === nodata || v <= -32767) return null;
+      return v;
+    },
+    // pixel centres: (0.5, 0.5) is the middle of the first pixel
+    toPixel(lng, lat) {
+      return { x: (lng - originX) / sx - 0.5, y: (originY - lat) / sy - 0.5 };
+    },
+  };
+}
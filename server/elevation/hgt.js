@@ -0,0 +1,50 @@
+// server/elevation/hgt.js
+// SRTM .hgt tiles: a square grid of big-endian int16 metres, 1x1 degree,
+// named after the south-west corner (N51E003.hgt). Row 0 is the north edge.
+
+import fs from "node:fs";
+import path from "node:path";
+
+const VOID = -32768;
+
+const NAME_RE = /^([NS])(\d{2})([EW])(\d{3})\.hgt$/i;
+
+/**
+ * Parse a tile file name -> { south, west } or null.
+ */
+export function hgtTileOrigin(fileName) {
+  const m = NAME_RE.exec(path.basename(fileName));
+  if (!m) return null;
+  const south = Number(m[2]) * (m[1].toUpperCase() === "S" ? -1 : 1);
+  const west = Number(m[4]) * (m[3].toUpperCase() === "W" ? -1 : 1);
+  return { south, west };
+}
+
+export function loadHgtTile(filePath) {
+  const origin = hgtTileOrigin(filePath);
+  if (!origin) throw new Error(`Not an SRTM tile name: ${path.basename(filePath)}`);
+
+  const buf = fs.readFileSync(filePath);
+  const size = Math.round(Math.sqrt(buf.length / 2));
+  if (size * size * 2 !== buf.length) {
+    throw new Error(`Unexpected .hgt size for ${path.basename(filePath)}`);
+  }
+
+  return {
+    bounds: { west: origin.west, south: origin.south, east: origin.west + 1, north: origin.south + 1 },
+    width: size,
+    height: size,
+    // pixel (col,row) -> metres or null; corners sit exactly on the grid lines
+    pixelAt(col, row) {
+      const v = buf.readInt16BE((row * size + col) * 2);
+      return v === VOID ? null : v;
+    },
+    // lng/lat -> fractional pixel position
+    toPixel(lng, lat) {
+      return {
+        x: (lng - origin.west) * (size - 1),
+        y: (origin.south + 1 - lat) * (size - 1),
+      };
+    },
+  };
+}
@@ -0,0 +1,237 @@
+// server/elevation/index.js
+// Elevation service over local DEM tiles (SRTM .hgt and GeoTIFF) found in
+// DEM_DIR. Routes are densified before sampling so climbs between sparse
+// route vertices aren't missed, then smoothed to keep DEM noise out of the totals.
+
+import fs from "node:fs";
+import path from "node:path";
+import { haversineM } from "../geo.js";
+import { hgtTileOrigin, loadHgtTile } from "./hgt.js";
+import { loadGeoTiff } from "./geotiff.js";
+
+const MAX_CACHED_TILES = 8;
+
+function listDemFiles(demDir) {
+  if (!demDir || !fs.existsSync(demDir)) return [];
+  return fs
+    .readdirSync(demDir)
+    .filter((f) => /\.(hgt|tif|tiff)$/i.test(f))
+    .map((f) => path.join(demDir, f));
+}
+
+// Bilinear interpolation; falls back to the nearest valid corner near voids
+function interpolate(tile, lng, lat) {
+  const { x, y } = tile.toPixel(lng, lat);
+  const c0 = Math.max(0, Math.min(tile.width - 1, Math.floor(x)));
+  const r0 = Math.max(0, Math.min(tile.height - 1, Math.floor(y)));
+  const c1 = Math.min(tile.width - 1, c0 + 1);
+  const r1 = Math.min(tile.height - 1, r0 + 1);
+  const fx = Math.max(0, Math.min(1, x - c0));
+  const fy = Math.max(0, Math.min(1, y - r0));
+
+  const v00 = tile.pixelAt(c0, r0);
+  const v10 = tile.pixelAt(c1, r0);
+  const v01 = tile.pixelAt(c0, r1);
+  const v11 = tile.pixelAt(c1, r1);
+
+  if (v00 == null || v10 == null || v01 == null || v11 == null) {
+    const corners = [
+      [v00, (1 - fx) * (1 - fy)],
+      [v10, fx * (1 - fy)],
+      [v01, (1 - fx) * fy],
+      [v11, fx * fy],
+    ].filter(([v]) => v != null);
+    if (corners.length === 0) return null;
+    corners.sort((a, b) => b[1] - a[1]);
+    return corners[0][0];
+  }
+
+  return (
+    v00 * (1 - fx) * (1 - fy) +
+    v10 * fx * (1 - fy) +
+    v01 * (1 - fx) * fy +
+    v11 * fx * fy
+  );
+}
+
+/**
+ * Walk the route and emit a point every `stepM` metres (plus every vertex).
+ * Each point: { lng, lat, d, i } where d = metres from start and
+ * i = index of the route segment the point lies on.
+ */
+function densify(coordsLngLat, stepM) {
+  const pts = [];
+  let d = 0;
+
+  for (let i = 0; i < coordsLngLat.length - 1; i++) {
+    const [lng1, lat1] = coordsLngLat[i];
+    const [lng2, lat2] = coordsLngLat[i + 1];
+    const segLen = haversineM(lat1, lng1, lat2, lng2);
+    const n = Math.max(1, Math.ceil(segLen / stepM));
+
+    for (let k = 0; k < n; k++) {
+      const t = k / n;
+      pts.push({ lng: lng1 + (lng2 - lng1) * t, lat: lat1 + (lat2 - lat1) * t, d: d + segLen * t, i });
+    }
+    d += segLen;
+  }
+
+  const [lngL, latL] = coordsLngLat[coordsLngLat.length - 1];
+  pts.push({ lng: lngL, lat: latL, d, i: coordsLngLat.length - 1 });
+  return pts;
+}
+
+// Distance-weighted moving average over +-halfWindowM
+function smooth(pts, values, halfWindowM) {
+  const out = new Array(values.length);
+  let lo = 0;
+  let hi = 0;
+  let sum = 0;
+
+  for (let k = 0; k < values.length; k++) {
+    while (hi < values.length && pts[hi].d <= pts[k].d + halfWindowM) sum += values[hi++];
+    while (pts[lo].d < pts[k].d - halfWindowM) sum -= values[lo++];
+    out[k] = sum / (hi - lo);
+  }
+  return out;
+}
+
+export function createElevationService({ demDir }) {
+  const files = listDemFiles(demDir);
+
+  // HGT tiles are found by name; GeoTIFFs need their header read for bounds
+  const hgtByOrigin = new Map();
+  const tiffs = [];
+  for (const f of files) {
+    const origin = hgtTileOrigin(f);
+    if (origin) hgtByOrigin.set(`${origin.south}:${origin.west}`, f);
+    else if (/\.tiff?$/i.test(f)) tiffs.push(f);
+  }
+
+  const cache = new Map(); // file -> tile, in LRU order
+  function tileFromFile(file) {
+    let tile = cache.get(file);
+    if (tile) {
+      cache.delete(file);
+      cache.set(file, tile);
+      return tile;
+    }
+
+    // synchronous on purpose: tiles are loaded once and then served from memory
+    tile = /\.hgt$/i.test(file) ? loadHgtTile(file) : loadGeoTiff(file);
+    cache.set(file, tile);
+    if (cache.size > MAX_CACHED_TILES) cache.delete(cache.keys().next().value);
+    return tile;
+  }
+
+  const tiffBounds = tiffs.flatMap((file) => {
+    try {
+      return [{ file, bounds: tileFromFile(file).bounds }];
+    } catch (e) {
+      console.error(`Skipping DEM ${path.basename(file)}: ${e.message}`);
+      return [];
+    }
+  });
+
+  function elevationAt(lat, lng) {
+    const hgt = hgtByOrigin.get(`${Math.floor(lat)}:${Math.floor(lng)}`);
+    if (hgt) {
+      const v = interpolate(tileFromFile(hgt), lng, lat);
+      if (v != null) return v;
+    }
+
+    for (const { file, bounds } of tiffBounds) {
+      if (lng < bounds.west || lng > bounds.east || lat < bounds.south || lat > bounds.north) continue;
+      const v = interpolate(tileFromFile(file), lng, lat);
+      if (v != null) return v;
+    }
+
+    return null;
+  }
+
+  /**
+   * Elevation stats for a route, or null if the DEM doesn't cover it.
+   * Returns {
+   *   ascentM, descentM, maxGradePct, minEleM, maxEleM,
+   *   profile: [{ d, ele, grade, i, lat, lng }],   // downsampled for charts
+   *   coordElevations: [ele per route coordinate],
+   * }
+   */
+  function profileRoute(coordsLngLat, { stepM = 20, smoothM = 60, gradeM = 50, maxProfilePoints = 500 } = {}) {
+    if (!coordsLngLat || coordsLngLat.length < 2) return null;
+
+    const pts = densify(coordsLngLat, stepM);
+    const raw = pts.map((p) => elevationAt(p.lat, p.lng));
+
+    const known = raw.filter((v) => v != null).length;
+    if (known < pts.length * 0.5) return null;
+
+    // fill voids by linear interpolation between known neighbours
+    let prev = -1;
+    for (let k = 0; k < raw.length; k++) {
+      if (raw[k] == null) continue;
+      if (prev < 0) for (let j = 0; j < k; j++) raw[j] = raw[k];
+      else for (let j = prev + 1; j < k; j++) raw[j] = raw[prev] + ((raw[k] - raw[prev]) * (j - prev)) / (k - prev);
+      prev = k;
+    }
+    for (let j = prev + 1; j < raw.length; j++) raw[j] = raw[prev];
+
+    const ele = smooth(pts, raw, smoothM / 2);
+
+    let ascentM = 0;
+    let descentM = 0;
+    for (let k = 1; k < ele.length; k++) {
+      const dz = ele[k] - ele[k - 1];
+      if (dz > 0) ascentM += dz;
+      else descentM -= dz;
+    }
+
+    // grade over a window of +-gradeM/2 around each point
+    const grades = new Array(ele.length);
+    let lo = 0;
+    let hi = 0;
+    let maxGradePct = 0;
+    for (let k = 0; k < ele.length; k++) {
+      while (hi < ele.length - 1 && pts[hi].d < pts[k].d + gradeM / 2) hi++;
+      while (pts[lo].d < pts[k].d - gradeM / 2) lo++;
+      const run = pts[hi].d - pts[lo].d;
+      grades[k] = run > 0 ? ((ele[hi] - ele[lo]) / run) * 100 : 0;
+      if (run >= gradeM * 0.8) maxGradePct = Math.max(maxGradePct, Math.abs(grades[k]));
+    }
+
+    const coordElevations = new Array(coordsLngLat.length);
+    for (let k = 0; k < pts.length; k++) {
+      // the first densified point of segment i is vertex i
+      if (coordElevations[pts[k].i] === undefined) coordElevations[pts[k].i] = ele[k];
+    }
+
+    const every = Math.max(1, Math.ceil(pts.length / maxProfilePoints));
+    const profilePoint = (k) => ({
+      d: pts[k].d,
+      ele: ele[k],
+      grade: grades[k],
+      i: pts[k].i,
+      lat: pts[k].lat,
+      lng: pts[k].lng,
+    });
+    const profile = [];
+    for (let k = 0; k < pts.length; k += every) profile.push(profilePoint(k));
+    if ((pts.length - 1) % every !== 0) profile.push(profilePoint(pts.length - 1));
+
+    return {
+      ascentM,
+      descentM,
+      maxGradePct,
+      minEleM: Math.min(...ele),
+      maxEleM: Math.max(...ele),
+      profile,
+      coordElevations,
+    };
+  }
+
+  return {
+    available: hgtByOrigin.size > 0 || tiffBounds.length > 0,
+    elevationAt,
+    profileRoute,
+  };
+}
@@ -0,0 +1,363 @@
+// server/formats/fit.js
+// Garmin FIT: Course encoder (file_id, course, lap, events, records, course
+// points) and a decoder that pulls positions out of FIT courses and activities.
+// Only the messages and fields LoopRoute needs are handled.
+
+const FIT_EPOCH_S = 631065600; // 1989-12-31T00:00:00Z
+const SEMICIRCLES = 2 ** 31 / 180;
+
+// Base types (FIT SDK)
+const T = {
+  enum: { id: 0x00, size: 1, invalid: 0xff },
+  uint8: { id: 0x02, size: 1, invalid: 0xff },
+  uint16: { id: 0x84, size: 2, invalid: 0xffff },
+  sint32: { id: 0x85, size: 4, invalid: 0x7fffffff },
+  uint32: { id: 0x86, size: 4, invalid: 0xffffffff },
+  string: { id: 0x07, size: 1, invalid: 0 },
+};
+
+// Global message numbers
+const MESG = {
+  fileId: 0,
+  lap: 19,
+  record: 20,
+  event: 21,
+  course: 31,
+  coursePoint: 32,
+};
+
+const SPORTS = {
+  running: 1,
+  hiking: 17,
+  "road-cycling": 2,
+  gravel: 2,
+  wheelchair: 0,
+};
+
+// Course point types used by LoopRoute cues
+export const COURSE_POINT_TYPES = {
+  generic: 0,
+  summit: 1,
+  valley: 2,
+  water: 3,
+  food: 4,
+  danger: 5,
+  left: 6,
+  right: 7,
+  straight: 8,
+  slightLeft: 19,
+  sharpLeft: 20,
+  slightRight: 21,
+  sharpRight: 22,
+  uTurn: 23,
+};
+
+// -------------------- CRC --------------------
+
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+function fitCrc(buf, start = 0, end = buf.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    const byte = buf[i];
+    let tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xf];
+    tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf];
+  }
+  return crc;
+}
+
+// -------------------- Encoder --------------------
+
+const toSemicircles = (deg) => Math.round(deg * SEMICIRCLES);
+const toFitTime = (date) => Math.round(date.getTime() / 1000) - FIT_EPOCH_S;
+
+/**
+ * Collects definition + data records. Each local message type is defined
+ * once and reused; fields are [fieldNum, baseType, size?].
+ */
+function createWriter() {
+  const chunks = [];
+  let nextLocal = 0;
+
+  function define(globalNum, fields) {
+    const local = nextLocal++;
+    const def = Buffer.alloc(6 + fields.length * 3);
+    def[0] = 0x40 | local; // definition header
+    def[1] = 0; // reserved
+    def[2] = 0; // little endian
+    def.writeUInt16LE(globalNum, 3);
+    def[5] = fields.length;
+    fields.forEach(([num, type, size], i) => {
+      def[6 + i * 3] = num;
+      def[7 + i * 3] = size ?? type.size;
+      def[8 + i * 3] = type.id;
+    });
+    chunks.push(def);
+    return { local, fields };
+  }
+
+  function write({ local, fields }, values) {
+    const size = 1 + fields.reduce((s, [, type, n]) => s + (n ?? type.size), 0);
+    const buf = Buffer.alloc(size);
+    buf[0] = local;
+    let o = 1;
+
+    fields.forEach(([, type, n], i) => {
+      let v = values[i];
+      if (type === T.string) {
+        Buffer.from(String(v ?? ""), "utf8").copy(buf, o, 0, n - 1); // keep a NUL terminator
+        o += n;
+        return;
+      }
+      if (v == null || !Number.isFinite(v)) v = type.invalid;
+      if (type.size === 1) buf.writeUInt8(v & 0xff, o);
+      else if (type === T.uint16) buf.writeUInt16LE(v, o);
+      else if (type === T.sint32) buf.writeInt32LE(v, o);
+      else buf.writeUInt32LE(v >>> 0, o);
+      o += type.size;
+    });
+
+    chunks.push(buf);
+  }
+
+  function toFile() {
+    const data = Buffer.concat(chunks);
+    const header = Buffer.alloc(14);
+    header[0] = 14;
+    header[1] = 0x20; // protocol 2.0
+    header.writeUInt16LE(2132, 2); // profile 21.32
+    header.writeUInt32LE(data.length, 4);
+    header.write(".FIT", 8, "latin1");
+    header.writeUInt16LE(fitCrc(header, 0, 12), 12);
+
+    const body = Buffer.concat([header, data]);
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(fitCrc(body));
+    return Buffer.concat([body, crc]);
+  }
+
+  return { define, write, toFile };
+}
+
+const encodeAltitude = (ele) => (Number.isFinite(ele) ? Math.round((ele + 500) * 5) : null);
+
+/**
+ * route: { name, sport, startTime, points: [{ lat, lng, ele, d, t }],
+ *          cues?: [{ lat, lng, d, t, type, name, instruction }] }
+ * Returns the .fit file as a Buffer.
+ */
+export function writeFit({ name, sport, startTime, points, cues = [] }) {
+  const w = createWriter();
+  const t0 = toFitTime(startTime);
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  let ascent = 0;
+  let descent = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].ele == null || points[i - 1].ele == null) continue;
+    const dz = points[i].ele - points[i - 1].ele;
+    if (dz > 0) ascent += dz;
+    else descent -= dz;
+  }
+
+  const fileId = w.define(MESG.fileId, [
+    [0, T.enum], // type
+    [1, T.uint16], // manufacturer
+    [2, T.uint16], // product
+    [4, T.uint32], // time_created
+  ]);
+  w.write(fileId, [6 /* course */, 255 /* development */, 0, t0]);
+
+  const course = w.define(MESG.course, [
+    [4, T.enum], // sport
+    [5, T.string, 16], // name
+  ]);
+  w.write(course, [SPORTS[sport] ?? 0, name]);
+
+  const lap = w.define(MESG.lap, [
+    [253, T.uint32], // timestamp
+    [2, T.uint32], // start_time
+    [3, T.sint32], // start_position_lat
+    [4, T.sint32], // start_position_long
+    [5, T.sint32], // end_position_lat
+    [6, T.sint32], // end_position_long
+    [7, T.uint32], // total_elapsed_time (ms)
+    [8, T.uint32], // total_timer_time (ms)
+    [9, T.uint32], // total_distance (cm)
+    [21, T.uint16], // total_ascent
+    [22, T.uint16], // total_descent
+  ]);
+  w.write(lap, [
+    t0 + Math.round(last.t),
+    t0,
+    toSemicircles(first.lat),
+    toSemicircles(first.lng),
+    toSemicircles(last.lat),
+    toSemicircles(last.lng),
+    Math.round(last.t * 1000),
+    Math.round(last.t * 1000),
+    Math.round(last.d * 100),
+    Math.round(ascent),
+    Math.round(descent),
+  ]);
+
+  const event = w.define(MESG.event, [
+    [253, T.uint32], // timestamp
+    [0, T.enum], // event (0 = timer)
+    [1, T.enum], // event_type (0 = start, 4 = stop_all)
+    [4, T.uint8], // event_group
+  ]);
+  w.write(event, [t0, 0, 0, 0]);
+
+  const record = w.define(MESG.record, [
+    [253, T.uint32], // timestamp
+    [0, T.sint32], // position_lat
+    [1, T.sint32], // position_long
+    [2, T.uint16], // altitude (scale 5, offset 500)
+    [5, T.uint32], // distance (cm)
+  ]);
+  for (const p of points) {
+    w.write(record, [
+      t0 + Math.round(p.t),
+      toSemicircles(p.lat),
+      toSemicircles(p.lng),
+      encodeAltitude(p.ele),
+      Math.round(p.d * 100),
+    ]);
+  }
+
+  if (cues.length) {
+    const cp = w.define(MESG.coursePoint, [
+      [254, T.uint16], // message_index
+      [1, T.uint32], // timestamp
+      [2, T.sint32], // position_lat
+      [3, T.sint32], // position_long
+      [4, T.uint32], // distance (cm)
+      [5, T.enum], // type
+      [6, T.string, 16], // name
+    ]);
+    cues.forEach((c, i) => {
+      w.write(cp, [
+        i,
+        t0 + Math.round(c.t),
+        toSemicircles(c.lat),
+        toSemicircles(c.lng),
+        Math.round(c.d * 100),
+        COURSE_POINT_TYPES[c.type] ?? COURSE_POINT_TYPES.generic,
+        c.name || c.instruction,
+      ]);
+    });
+  }
+
+  w.write(event, [t0 + Math.round(last.t), 0, 4, 0]);
+
+  return w.toFile();
+}
+
+// -------------------- Decoder --------------------
+
+function readValue(buf, o, baseType, size, little) {
+  const bt = baseType & 0x1f;
+  switch (bt) {
+    case 0x00: case 0x02: case 0x0a: case 0x0d: return size === 1 ? buf[o] : null;
+    case 0x01: return buf.readInt8(o);
+    case 0x03: return little ? buf.readInt16LE(o) : buf.readInt16BE(o);
+    case 0x04: case 0x0b: return little ? buf.readUInt16LE(o) : buf.readUInt16BE(o);
+    case 0x05: return little ? buf.readInt32LE(o) : buf.readInt32BE(o);
+    case 0x06: case 0x0c: return little ? buf.readUInt32LE(o) : buf.readUInt32BE(o);
+    case 0x07: {
+      const end = buf.indexOf(0, o);
+      return buf.toString("utf8", o, end >= 0 && end < o + size ? end : o + size);
+    }
+    default: return null;
+  }
+}
+
+const INVALID_SINT32 = 0x7fffffff;
+
+/**
+ * Positions from a FIT course or activity -> { name, coords: [[lng,lat(,ele)]] }.
+ */
+export function parseFit(buf) {
+  if (buf.length < 12 || buf.toString("latin1", 8, 12) !== ".FIT") {
+    throw new Error("Not a FIT file");
+  }
+
+  const headerSize = buf[0];
+  const dataSize = buf.readUInt32LE(4);
+  const end = Math.min(buf.length, headerSize + dataSize);
+
+  const defs = new Map();
+  const coords = [];
+  let name = null;
+  let o = headerSize;
+
+  while (o < end) {
+    const header = buf[o++];
+    let local;
+
+    if (header & 0x80) {
+      // compressed timestamp header: data message, local type in bits 5-6
+      local = (header >> 5) & 0x03;
+    } else if (header & 0x40) {
+      local = header & 0x0f;
+      const little = buf[o + 1] === 0;
+      const globalNum = little ? buf.readUInt16LE(o + 2) : buf.readUInt16BE(o + 2);
+      const count = buf[o + 4];
+      o += 5;
+
+      const fields = [];
+      for (let i = 0; i < count; i++, o += 3) {
+        fields.push({ num: buf[o], size: buf[o + 1], type: buf[o + 2] });
+      }
+
+      let devSize = 0;
+      if (header & 0x20) {
+        const devCount = buf[o++];
+        for (let i = 0; i < devCount; i++, o += 3) devSize += buf[o + 1];
+      }
+
+      defs.set(local, { little, globalNum, fields, devSize });
+      continue;
+    } else {
+      local = header & 0x0f;
+    }
+
+    const def = defs.get(local);
+    if (!def) throw new Error("FIT data message without definition");
+
+    const values = {};
+    for (const f of def.fields) {
+      values[f.num] = readValue(buf, o, f.type, f.size, def.little);
+      o += f.size;
+    }
+    o += def.devSize;
+
+    if (def.globalNum === MESG.record) {
+      const lat = values[0];
+      const lng = values[1];
+      if (lat == null || lng == null || lat === INVALID_SINT32 || lng === INVALID_SINT32) continue;
+
+      // enhanced_altitude (78, uint32) wins over altitude (2, uint16)
+      let ele = null;
+      if (values[78] != null && values[78] !== 0xffffffff) ele = values[78] / 5 - 500;
+      else if (values[2] != null && values[2] !== 0xffff) ele = values[2] / 5 - 500;
+
+      const c = [lng / SEMICIRCLES, lat / SEMICIRCLES];
+      if (ele != null) c.push(ele);
+      coords.push(c);
+    } else if (def.globalNum === MESG.course && values[5]) {
+      name = values[5];
+    }
+  }
+
+  return { name, coords };
+}
@@ -0,0 +1,67 @@
+// server/formats/geojson.js
+// GeoJSON import (first LineString / MultiLineString found, parts joined)
+// and plain LineString export.
+
+function lineFromGeometry(geom) {
+  if (!geom) return null;
+  if (geom.type === "LineString") return geom.coordinates;
+  if (geom.type === "MultiLineString") return geom.coordinates.flat();
+  if (geom.type === "GeometryCollection") {
+    for (const g of geom.geometries || []) {
+      const line = lineFromGeometry(g);
+      if (line) return line;
+    }
+  }
+  return null;
+}
+
+export function parseGeoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid GeoJSON file");
+  }
+
+  const features =
+    data.type === "FeatureCollection" ? data.features || [] : data.type === "Feature" ? [data] : [{ geometry: data }];
+
+  for (const f of features) {
+    const line = lineFromGeometry(f?.geometry);
+    if (line && line.length >= 2) {
+      const coords = line
+        .filter((c) => Number.isFinite(c?.[0]) && Number.isFinite(c?.[1]))
+        .map(([lng, lat, alt]) => (Number.isFinite(alt) ? [lng, lat, alt] : [lng, lat]));
+      return { name: f.properties?.name ?? null, coords };
+    }
+  }
+
+  return { name: null, coords: [] };
+}
+
+export function writeGeoJson({ name, description, points }) {
+  const last = points[points.length - 1];
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          properties: {
+            name,
+            ...(description ? { description } : {}),
+            distance: last.d,
+          },
+          geometry: {
+            type: "LineString",
+            coordinates: points.map(({ lat, lng, ele }) =>
+              Number.isFinite(ele) ? [lng, lat, Math.round(ele * 10) / 10] : [lng, lat]
+            ),
+          },
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
@@ -0,0 +1,72 @@
+// server/formats/gpx.js
+// GPX import (track points from every <trkseg>, else route points from <rte>)
+// and GPX 1.1 track export.
+
+import { parseXml, findAll, findFirst, childText, escapeXml } from "./xml.js";
+
+function toCoord(pt) {
+  const lat = Number(pt.attrs.lat);
+  const lng = Number(pt.attrs.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  const ele = Number(childText(pt, "ele"));
+  return childText(pt, "ele") != null && Number.isFinite(ele) ? [lng, lat, ele] : [lng, lat];
+}
+
+export function parseGpx(text) {
+  const doc = parseXml(text);
+  const gpx = findFirst(doc, "gpx");
+  if (!gpx) throw new Error("Not a GPX file");
+
+  let coords = findAll(gpx, "trkpt").map(toCoord).filter(Boolean);
+  let source = findFirst(gpx, "trk");
+
+  if (coords.length < 2) {
+    coords = findAll(gpx, "rtept").map(toCoord).filter(Boolean);
+    source = findFirst(gpx, "rte");
+  }
+
+  const name = childText(source, "name") || childText(findFirst(gpx, "metadata"), "name");
+  return { name, coords };
+}
+
+// route: { name, description, points: [{ lat, lng, ele }] }; <ele> only where known
+export function writeGpx({ name, description, points, cues = [] }) {
+  const wpts = cues
+    .map(
+      (c) => `<wpt lat="${c.lat}" lon="${c.lng}">${Number.isFinite(c.ele) ? `<ele>${c.ele.toFixed(1)}</ele>` : ""}` +
+        `<name>${escapeXml(c.instruction)}</name><type>${c.type}</type></wpt>`
+    )
+    .join("\n  ");
+
+  const trkpts = points
+    .map(({ lat, lng, ele }) =>
+      Number.isFinite(ele)
+        ? `<trkpt lat="${lat}" lon="${lng}"><ele>${ele.toFixed(1)}</ele></trkpt>`
+        : `<trkpt lat="${lat}" lon="${lng}"></trkpt>`
+    )
+    .join("\n");
+
+  const desc = description ? `\n    <desc>${escapeXml(description)}</desc>` : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx
+  version="1.1"
+  creator="LoopRoute"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1
+  http://www.topografix.com/GPX/1/1/gpx.xsd">
+
+  <metadata>
+    <name>${escapeXml(name)}</name>${desc}
+  </metadata>
+${wpts ? `\n  ${wpts}\n` : ""}
+  <trk>
+    <name>${escapeXml(name)}</name>${desc}
+    <trkseg>
+      ${trkpts}
+    </trkseg>
+  </trk>
+
+</gpx>`;
+}
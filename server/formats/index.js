@@ -0,0 +1,140 @@
+// server/formats/index.js
+// Route files. Import sniffs the format, parses to [[lng,lat(,ele)], ...] and
+// thins out recorded tracks so they stay editable on the map; export writes a
+// prepared route in any of the supported formats.
+
+import path from "node:path";
+import { toRad } from "../geo.js";
+import { parseGpx, writeGpx } from "./gpx.js";
+import { parseTcx, writeTcx } from "./tcx.js";
+import { parseKml, writeKml } from "./kml.js";
+import { parseGeoJson, writeGeoJson } from "./geojson.js";
+import { parseFit, writeFit } from "./fit.js";
+
+const PARSERS = {
+  gpx: parseGpx,
+  tcx: parseTcx,
+  kml: parseKml,
+  geojson: parseGeoJson,
+  fit: parseFit,
+};
+
+// FIT is binary; every other format is parsed from text
+const BINARY_FORMATS = new Set(["fit"]);
+
+/**
+ * Format from file extension, falling back to the first bytes of the file.
+ */
+export function detectFormat(buf, filename = "") {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  if (ext === "json") return "geojson";
+  if (PARSERS[ext]) return ext;
+
+  if (buf.length >= 12 && buf.toString("latin1", 8, 12) === ".FIT") return "fit";
+
+  const head = buf.subarray(0, 2000).toString("utf8");
+  if (/^\s*[{[]/.test(head)) return "geojson";
+  if (/<gpx[\s>]/.test(head)) return "gpx";
+  if (/<TrainingCenterDatabase[\s>]/.test(head)) return "tcx";
+  if (/<kml[\s>]/.test(head)) return "kml";
+  return null;
+}
+
+// Douglas-Peucker in a local metric frame; keeps any elevation as-is
+function simplify(coords, toleranceM) {
+  if (coords.length < 3) return coords;
+
+  const lat0 = coords[0][1];
+  const kx = 111320 * Math.cos(toRad(lat0));
+  const ky = 111320;
+  const xy = coords.map(([lng, lat]) => [lng * kx, lat * ky]);
+
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+  const stack = [[0, coords.length - 1]];
+
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ax, ay] = xy[a];
+    const [bx, by] = xy[b];
+    const len = Math.hypot(bx - ax, by - ay);
+
+    let maxD = 0;
+    let idx = -1;
+    for (let i = a + 1; i < b; i++) {
+      const [px, py] = xy[i];
+      const d =
+        len === 0
+          ? Math.hypot(px - ax, py - ay)
+          : Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len;
+      if (d > maxD) {
+        maxD = d;
+        idx = i;
+      }
+    }
+
+    if (idx >= 0 && maxD > toleranceM) {
+      keep[idx] = 1;
+      stack.push([a, idx], [idx, b]);
+    }
+  }
+
+  return coords.filter((_, i) => keep[i]);
+}
+
+/**
+ * Parse an uploaded route file.
+ * Returns { format, name, coords } or throws (err.status = 400/415).
+ */
+export function importRoute(buf, filename = "", { toleranceM = 2 } = {}) {
+  const format = detectFormat(buf, filename);
+  if (!format) {
+    const err = new Error("Unsupported file format");
+    err.status = 415;
+    err.details = "Expected GPX, TCX, KML, GeoJSON or FIT";
+    throw err;
+  }
+
+  let parsed;
+  try {
+    parsed = PARSERS[format](BINARY_FORMATS.has(format) ? buf : buf.toString("utf8"));
+  } catch (e) {
+    const err = new Error("Could not parse route file");
+    err.status = 400;
+    err.details = String(e?.message || e);
+    throw err;
+  }
+
+  // drop repeated fixes (watches log the same spot while standing still)
+  const deduped = parsed.coords.filter(
+    (c, i, arr) => i === 0 || c[0] !== arr[i - 1][0] || c[1] !== arr[i - 1][1]
+  );
+
+  if (deduped.length < 2) {
+    const err = new Error("No route in file");
+    err.status = 400;
+    err.details = `The ${format.toUpperCase()} file has no track, route or line with at least 2 points`;
+    throw err;
+  }
+
+  return { format, name: parsed.name || null, coords: simplify(deduped, toleranceM) };
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { contentType: "application/gpx+xml", extension: "gpx", write: writeGpx },
+  tcx: { contentType: "application/vnd.garmin.tcx+xml", extension: "tcx", write: writeTcx },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml", write: writeKml },
+  geojson: { contentType: "application/geo+json", extension: "geojson", write: writeGeoJson },
+  fit: { contentType: "application/vnd.ant.fit", extension: "fit", write: writeFit },
+};
+
+/**
+ * route: { name, description, sport, startTime, points: [{ lat, lng, ele, d, t }],
+ *          cues: [{ lat, lng, ele, d, t, type, name, instruction }] }
+ * Returns { body, contentType, extension }.
+ */
+export function exportRoute(format, route) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}"`);
+  return { body: spec.write(route), contentType: spec.contentType, extension: spec.extension };
+}
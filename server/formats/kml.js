@@ -0,0 +1,69 @@
+// server/formats/kml.js
+// KML import (the longest LineString or gx:Track in the document) and
+// KML export for Google Earth.
+
+import { parseXml, findAll, findFirst, childText, escapeXml } from "./xml.js";
+
+function parseCoordinateList(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(",").map(Number))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+    .map(([lng, lat, alt]) => (Number.isFinite(alt) ? [lng, lat, alt] : [lng, lat]));
+}
+
+export function parseKml(text) {
+  const doc = parseXml(text);
+  const kml = findFirst(doc, "kml");
+  if (!kml) throw new Error("Not a KML file");
+
+  const lines = findAll(kml, "LineString").map((ls) => parseCoordinateList(childText(ls, "coordinates") || ""));
+
+  for (const track of findAll(kml, "Track")) {
+    lines.push(
+      findAll(track, "coord")
+        .map((c) => c.text.trim().split(/\s+/).map(Number))
+        .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+        .map(([lng, lat, alt]) => (Number.isFinite(alt) ? [lng, lat, alt] : [lng, lat]))
+    );
+  }
+
+  const coords = lines.reduce((best, l) => (l.length > best.length ? l : best), []);
+
+  const placemark = findAll(kml, "Placemark").find((p) => findFirst(p, "LineString") || findFirst(p, "Track"));
+  const name = childText(placemark, "name") || childText(findFirst(kml, "Document"), "name");
+  return { name, coords };
+}
+
+export function writeKml({ name, description, points }) {
+  const coordinates = points
+    .map(({ lat, lng, ele }) => (Number.isFinite(ele) ? `${lng},${lat},${ele.toFixed(1)}` : `${lng},${lat}`))
+    .join("\n          ");
+
+  const desc = description ? `\n      <description>${escapeXml(description)}</description>` : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Style id="route">
+      <LineStyle>
+        <color>ffff0000</color>
+        <width>4</width>
+      </LineStyle>
+    </Style>
+    <Placemark>
+      <name>${escapeXml(name)}</name>${desc}
+      <styleUrl>#route</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+        <altitudeMode>clampToGround</altitudeMode>
+        <coordinates>
+          ${coordinates}
+        </coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>`;
+}
@@ -0,0 +1,110 @@
+// server/formats/tcx.js
+// TCX import (Course tracks or Activity laps, in document order) and
+// TCX Course export for Garmin devices.
+
+import { parseXml, findAll, findFirst, childText, escapeXml } from "./xml.js";
+
+export function parseTcx(text) {
+  const doc = parseXml(text);
+  const root = findFirst(doc, "TrainingCenterDatabase");
+  if (!root) throw new Error("Not a TCX file");
+
+  const coords = [];
+  for (const tp of findAll(root, "Trackpoint")) {
+    const pos = tp.children.find((c) => c.local === "Position");
+    if (!pos) continue; // pause/heart-rate-only points
+    const lat = Number(childText(pos, "LatitudeDegrees"));
+    const lng = Number(childText(pos, "LongitudeDegrees"));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const alt = childText(tp, "AltitudeMeters");
+    coords.push(alt != null && Number.isFinite(Number(alt)) ? [lng, lat, Number(alt)] : [lng, lat]);
+  }
+
+  const course = findFirst(root, "Course");
+  const name = childText(course, "Name") || childText(findFirst(root, "Activity"), "Id");
+  return { name, coords };
+}
+
+// cue type -> TCX CoursePoint PointType
+const POINT_TYPES = {
+  left: "Left",
+  sharpLeft: "Left",
+  slightLeft: "Left",
+  right: "Right",
+  sharpRight: "Right",
+  slightRight: "Right",
+  straight: "Straight",
+};
+
+/**
+ * route: { name, description, points: [{ lat, lng, ele, d, t }], cues, startTime }
+ * d = metres from start, t = seconds from start (course pacing).
+ * Garmin limits course names to 15 characters and point names to 10.
+ */
+export function writeTcx({ name, description, points, cues = [], startTime }) {
+  const start = startTime.getTime();
+  const iso = (t) => new Date(start + t * 1000).toISOString();
+  const first = points[0];
+  const last = points[points.length - 1];
+  const courseName = escapeXml(String(name).slice(0, 15));
+
+  const trackpoints = points
+    .map(
+      ({ lat, lng, ele, d, t }) => `          <Trackpoint>
+            <Time>${iso(t)}</Time>
+            <Position>
+              <LatitudeDegrees>${lat}</LatitudeDegrees>
+              <LongitudeDegrees>${lng}</LongitudeDegrees>
+            </Position>${Number.isFinite(ele) ? `\n            <AltitudeMeters>${ele.toFixed(1)}</AltitudeMeters>` : ""}
+            <DistanceMeters>${d.toFixed(1)}</DistanceMeters>
+          </Trackpoint>`
+    )
+    .join("\n");
+
+  const notes = description ? `\n      <Notes>${escapeXml(description)}</Notes>` : "";
+
+  const coursePoints = cues
+    .map(
+      (c) => `
+      <CoursePoint>
+        <Name>${escapeXml((c.name || c.instruction).slice(0, 10))}</Name>
+        <Time>${iso(c.t)}</Time>
+        <Position>
+          <LatitudeDegrees>${c.lat}</LatitudeDegrees>
+          <LongitudeDegrees>${c.lng}</LongitudeDegrees>
+        </Position>
+        <PointType>${POINT_TYPES[c.type] || "Generic"}</PointType>
+        <Notes>${escapeXml(c.instruction)}</Notes>
+      </CoursePoint>`
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase
+  xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2
+  http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
+  <Courses>
+    <Course>
+      <Name>${courseName}</Name>
+      <Lap>
+        <TotalTimeSeconds>${last.t.toFixed(0)}</TotalTimeSeconds>
+        <DistanceMeters>${last.d.toFixed(1)}</DistanceMeters>
+        <BeginPosition>
+          <LatitudeDegrees>${first.lat}</LatitudeDegrees>
+          <LongitudeDegrees>${first.lng}</LongitudeDegrees>
+        </BeginPosition>
+        <EndPosition>
+          <LatitudeDegrees>${last.lat}</LatitudeDegrees>
+          <LongitudeDegrees>${last.lng}</LongitudeDegrees>
+        </EndPosition>
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>
+${trackpoints}
+      </Track>${notes}${coursePoints}
+    </Course>
+  </Courses>
+</TrainingCenterDatabase>`;
+}
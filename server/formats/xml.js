@@ -0,0 +1,110 @@
+// server/formats/xml.js
+// Tiny non-validating XML parser for route files (GPX, TCX, KML). Builds a
+// plain element tree; namespace prefixes are kept in `name` and dropped in `local`.
+
+const ENTITY_RE = /&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi;
+const ATTR_RE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decode(s) {
+  return s.replace(ENTITY_RE, (_, e) => {
+    switch (e.toLowerCase()) {
+      case "lt": return "<";
+      case "gt": return ">";
+      case "amp": return "&";
+      case "quot": return '"';
+      case "apos": return "'";
+      default:
+        return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    }
+  });
+}
+
+function element(name, attrs) {
+  const colon = name.indexOf(":");
+  return { name, local: colon >= 0 ? name.slice(colon + 1) : name, attrs, children: [], text: "" };
+}
+
+export function parseXml(text) {
+  const root = element("#document", {});
+  const stack = [root];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const lt = text.indexOf("<", pos);
+    if (lt < 0) break;
+
+    if (lt > pos) stack[stack.length - 1].text += decode(text.slice(pos, lt));
+
+    if (text.startsWith("<!--", lt)) {
+      const end = text.indexOf("-->", lt);
+      pos = end < 0 ? text.length : end + 3;
+      continue;
+    }
+    if (text.startsWith("<![CDATA[", lt)) {
+      const end = text.indexOf("]]>", lt);
+      stack[stack.length - 1].text += text.slice(lt + 9, end < 0 ? text.length : end);
+      pos = end < 0 ? text.length : end + 3;
+      continue;
+    }
+
+    const gt = text.indexOf(">", lt);
+    if (gt < 0) throw new Error("Malformed XML: unterminated tag");
+    const raw = text.slice(lt + 1, gt);
+    pos = gt + 1;
+
+    if (raw[0] === "?" || raw[0] === "!") continue;
+
+    if (raw[0] === "/") {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    const selfClosing = raw.endsWith("/");
+    const body = selfClosing ? raw.slice(0, -1) : raw;
+    const nameEnd = body.search(/\s/);
+    const name = nameEnd < 0 ? body : body.slice(0, nameEnd);
+
+    const attrs = {};
+    ATTR_RE.lastIndex = 0;
+    let m;
+    while ((m = ATTR_RE.exec(body))) attrs[m[1]] = decode(m[2] ?? m[3]);
+
+    const el = element(name, attrs);
+    stack[stack.length - 1].children.push(el);
+    if (!selfClosing) stack.push(el);
+  }
+
+  return root;
+}
+
+// Depth-first search for elements by local name
+export function findAll(node, localName, out = []) {
+  for (const c of node.children) {
+    if (c.local === localName) out.push(c);
+    findAll(c, localName, out);
+  }
+  return out;
+}
+
+export function findFirst(node, localName) {
+  for (const c of node.children) {
+    if (c.local === localName) return c;
+    const hit = findFirst(c, localName);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+export function childText(node, localName) {
+  const c = node?.children.find((x) => x.local === localName);
+  return c ? c.text.trim() : null;
+}
+
+export function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
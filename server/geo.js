@@ -0,0 +1,37 @@
+// server/geo.js
+// Small spherical-geometry helpers shared by the routes and the routing providers.
+
+export function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+export function metersToDegLat(m) {
+  return m / 111320;
+}
+export function metersToDegLon(m, lat) {
+  return m / (111320 * Math.cos((lat * Math.PI) / 180));
+}
+
+export function haversineM(lat1, lon1, lat2, lon2) {
+  const R = 6371000; // m
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+export function lineDistanceM(coordsLngLat) {
+  if (!coordsLngLat || coordsLngLat.length < 2) return null;
+  let total = 0;
+  for (let i = 1; i < coordsLngLat.length; i++) {
+    const [lng1, lat1] = coordsLngLat[i - 1];
+    const [lng2, lat2] = coordsLngLat[i];
+    total += haversineM(lat1, lng1, lat2, lng2);
+  }
+  return total;
+}
@@ -2,25 +2,52 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
+import { fileURLToPath } from "node:url";
+import { toRad, metersToDegLat, metersToDegLon, haversineM, lineDistanceM } from "./geo.js";
+import { createRoutingProvider } from "./routing/index.js";
+import { routeSteps, shiftSteps, sliceSteps, joinSteps, measureSteps, CUE_TYPES, STEP } from "./routing/steps.js";
+import { routeExtras, shiftExtras, sliceExtras, joinExtras, summarizeExtras } from "./routing/extras.js";
+import { resolveProfile } from "./profiles.js";
+import { createElevationService } from "./elevation/index.js";
+import { importRoute, exportRoute, EXPORT_FORMATS } from "./formats/index.js";
+import { createRouteStore } from "./store/routes.js";
+import { createZoneStore } from "./store/zones.js";
+import { cleanZoneShape, zonesToAvoidPolygons } from "./noGoZones.js";
+import { bestVisitingOrders } from "./waypointOrder.js";
+import { overlapRatio, hasShortOutAndBackSpur, analyzeRoute } from "./routeAnalysis.js";
+import { WAY_PREFERENCES, parseWayPreferences, wayPreferencePenalty } from "./wayPreferences.js";
+import { CLIMB_RULES, parsePacing, parseTimeTarget, targetDistanceKm, pointTimes, kmSplits, timingSummary } from "./pacing.js";
+import {
+  SHAPES,
+  MIN_PETALS,
+  MAX_PETALS,
+  parseShape,
+  shapeBearing,
+  outAndBackTurnaround,
+  petalCoordinates,
+  paddingViaPoints,
+} from "./shapes.js";
 
 dotenv.config();
 
+const routing = createRoutingProvider();
+const elevation = createElevationService({
+  demDir: process.env.DEM_DIR || fileURLToPath(new URL("./dem", import.meta.url)),
+});
+
+const routeStore = createRouteStore({
+  file: process.env.ROUTES_FILE || fileURLToPath(new URL("./data/routes.json", import.meta.url)),
+});
+const zoneStore = createZoneStore({
+  file: process.env.ZONES_FILE || fileURLToPath(new URL("./data/zones.json", import.meta.url)),
+});
+
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "10mb" })); // long rides and saved routes carry full geometries
 
 // -------------------- Helpers --------------------
 
-function toRad(deg) {
-  return (deg * Math.PI) / 180;
-}
-function metersToDegLat(m) {
-  return m / 111320;
-}
-function metersToDegLon(m, lat) {
-  return m / (111320 * Math.cos((lat * Math.PI) / 180));
-}
-
 // Build a thin rectangular polygon around a segment [lng,lat] -> [lng,lat]
 function segmentBufferPolygon([lng1, lat1], [lng2, lat2], widthM = 12) {
   const midLat = (lat1 + lat2) / 2;
@@ -71,136 +98,131 @@ function buildRouteCorridorPolygons(coordsLngLat, {
 }
 
 
-function haversineM(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // m
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
+/**
+ * Share of route `a` (by length) that runs through grid cells route `b` also
+ * uses. 1 = a lies entirely on b.
+ */
+function routeSimilarity(a, b, gridMeters = 30) {
+  if (!a?.length || !b?.length) return 0;
 
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) ** 2;
+  const lat0 = a[0][1];
+  const snapLat = gridMeters / 111320;
+  const snapLon = gridMeters / (111320 * Math.cos(toRad(lat0)));
+  const cell = ([lng, lat]) => `${Math.round(lat / snapLat)}:${Math.round(lng / snapLon)}`;
 
-  return 2 * R * Math.asin(Math.sqrt(a));
-}
-
-function lineDistanceM(coordsLngLat) {
-  if (!coordsLngLat || coordsLngLat.length < 2) return null;
+  const cellsB = new Set(b.map(cell));
+  let shared = 0;
   let total = 0;
-  for (let i = 1; i < coordsLngLat.length; i++) {
-    const [lng1, lat1] = coordsLngLat[i - 1];
-    const [lng2, lat2] = coordsLngLat[i];
-    total += haversineM(lat1, lng1, lat2, lng2);
+  for (let i = 1; i < a.length; i++) {
+    const len = haversineM(a[i - 1][1], a[i - 1][0], a[i][1], a[i][0]);
+    total += len;
+    if (cellsB.has(cell(a[i]))) shared += len;
   }
-  return total;
+  return total > 0 ? shared / total : 0;
 }
 
 /**
- * Rough self-overlap estimator (metric)
+ * Shared coordinate pipeline for every export format: route coordinates ->
+ * [{ lat, lng, ele, d, t }] with DEM elevations (falling back to any altitude
+ * already in the coordinates), metres from start and seconds at the given
+ * pacing (default: the profile's nominal speed, climbing ignored).
+ * Throws 400 for a geojson without usable route coordinates.
  */
-function overlapRatio(coordsLngLat, gridMeters = 20) {
-  if (!coordsLngLat || coordsLngLat.length < 3) return 1;
-
-  const seen = new Map();
-  let overlapped = 0;
-  let total = 0;
-
-  const avgLat =
-    coordsLngLat.reduce((s, c) => s + c[1], 0) / coordsLngLat.length;
-
-  const mPerDegLat = 111320;
-  const mPerDegLon = 111320 * Math.cos(toRad(avgLat));
-
-  const snapLat = gridMeters / mPerDegLat;
-  const snapLon = gridMeters / mPerDegLon;
-
-  for (let i = 1; i < coordsLngLat.length; i++) {
-    const [lng1, lat1] = coordsLngLat[i - 1];
-    const [lng2, lat2] = coordsLngLat[i];
-
-    const segLen = haversineM(lat1, lng1, lat2, lng2);
-    total += segLen;
-
-    const midLat = (lat1 + lat2) / 2;
-    const midLng = (lng1 + lng2) / 2;
+function buildExportRoute(geojson, { name, description, profile, pacing = parsePacing(null, profile) }) {
+  const coords = getCoords(geojson);
+  if (!Array.isArray(coords) || coords.length === 0) {
+    const err = new Error("No coordinates to export");
+    err.status = 400;
+    err.details = "geojson must hold a LineString route in features[0]";
+    throw err;
+  }
+  const badIdx = coords.findIndex((c) => !Array.isArray(c) || !Number.isFinite(c[0]) || !Number.isFinite(c[1]));
+  if (badIdx >= 0) {
+    const err = new Error("Invalid geojson");
+    err.status = 400;
+    err.details = `Coordinate ${badIdx} is not a [lng, lat] pair of numbers`;
+    throw err;
+  }
 
-    const key =
-      `${Math.round(midLat / snapLat)}:` + `${Math.round(midLng / snapLon)}`;
+  const elevations = elevation.available ? elevation.profileRoute(coords)?.coordElevations : null;
 
-    const lastIdx = seen.get(key);
-    if (lastIdx !== undefined && i - lastIdx > 12) {
-      overlapped += segLen;
-    } else if (lastIdx === undefined) {
-      seen.set(key, i);
+  let d = 0;
+  const points = coords.map(([lng, lat, alt], i) => {
+    if (i > 0) {
+      const [lngPrev, latPrev] = coords[i - 1];
+      d += haversineM(latPrev, lngPrev, lat, lng);
     }
-  }
+    const ele = elevations?.[i] ?? alt;
+    return { lat, lng, ele: Number.isFinite(ele) ? ele : null, d };
+  });
+  const times = pointTimes(points, pacing);
+  points.forEach((p, i) => (p.t = times[i]));
+
+  // turn cues at the start of each step (departure and arrival are implied)
+  const cues = routeSteps(geojson)
+    .filter((s) => s.type !== STEP.DEPART && s.type !== STEP.GOAL && points[s.way_points[0]])
+    .map((s) => ({
+      ...points[s.way_points[0]],
+      type: CUE_TYPES[s.type] || "generic",
+      name: s.name && s.name !== "-" ? s.name : null,
+      instruction: s.instruction,
+    }));
 
-  return total > 0 ? overlapped / total : 1;
+  return {
+    name: name || "Loop route",
+    description: description || "",
+    sport: profile.id,
+    startTime: new Date(),
+    points,
+    cues,
+  };
 }
 
-/**
- * Spur detector
- */
-function hasShortOutAndBackSpur(coordsLngLat, maxDetourM = 140) {
-  if (!coordsLngLat || coordsLngLat.length < 40) return false;
-
-  const closeM = 12;
-  const minSteps = 18;
-  const maxSteps = 90;
-
-  for (let i = 0; i < coordsLngLat.length - (minSteps + 1); i++) {
-    const [lngA, latA] = coordsLngLat[i];
-    let detour = 0;
-
-    for (let j = i + 1; j < Math.min(coordsLngLat.length, i + maxSteps); j++) {
-      const [lngPrev, latPrev] = coordsLngLat[j - 1];
-      const [lngCur, latCur] = coordsLngLat[j];
-      detour += haversineM(latPrev, lngPrev, latCur, lngCur);
-
-      if (j - i >= minSteps) {
-        const backClose = haversineM(latA, lngA, latCur, lngCur);
-        if (backClose <= closeM && detour <= maxDetourM) return true;
-      }
-
-      if (detour > maxDetourM) break;
-    }
-  }
-
-  return false;
+// Timing block for API responses: moving time and per-km splits of a prepared route
+function routeTiming({ points }, pacing) {
+  return {
+    ...pacing,
+    distM: points[points.length - 1].d,
+    movingS: points[points.length - 1].t,
+    splits: kmSplits(points),
+  };
 }
 
-function geojsonToGpx(geojson, name = "Loop route") {
-  const coords = geojson?.features?.[0]?.geometry?.coordinates;
-  if (!coords || coords.length === 0) {
-    throw new Error("No coordinates to convert to GPX");
-  }
+// Moving time of a route (s) at the pacing
+function routeMovingS(geojson, profile, pacing) {
+  const { points } = buildExportRoute(geojson, { profile, pacing });
+  return points[points.length - 1].t;
+}
 
-  const trkpts = coords
-    .map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"><ele>0</ele></trkpt>`)
-    .join("\n");
+// A loop's time is within this share of a duration target without re-planning
+const TIME_TARGET_TOLERANCE = 0.05;
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<gpx
-  version="1.1"
-  creator="LoopRoute"
-  xmlns="http://www.topografix.com/GPX/1/1"
-  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-  xsi:schemaLocation="http://www.topografix.com/GPX/1/1
-  http://www.topografix.com/GPX/1/1/gpx.xsd">
+// timeTarget block for /api/loop: the target, the distance it came to and how close the route gets
+function timeTargetReport(geojson, { durationS, flatKm, profile, pacing }) {
+  const movingS = routeMovingS(geojson, profile, pacing);
+  return {
+    durationS,
+    flatKm,
+    paceSecPerKm: pacing.paceSecPerKm,
+    climbRule: pacing.climbRule,
+    movingS,
+    timeError: Math.abs(movingS - durationS) / durationS,
+  };
+}
 
-  <metadata>
-    <name>${name}</name>
-  </metadata>
+function exportFileName(name, extension) {
+  const slug = String(name).trim().replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${slug || "loop"}.${extension}`;
+}
 
-  <trk>
-    <name>${name}</name>
-    <trkseg>
-      ${trkpts}
-    </trkseg>
-  </trk>
+// Elevation block for API responses (null without DEM coverage)
+function routeElevation(coordsLngLat) {
+  if (!elevation.available) return null;
+  const result = elevation.profileRoute(coordsLngLat);
+  if (!result) return null;
 
-</gpx>`;
+  const { coordElevations, ...summary } = result;
+  return summary;
 }
 
 // -------------------- Waypoints + detour helpers --------------------
@@ -246,14 +268,33 @@ function makeDetourWaypoint(start, wp, offsetMeters = 350) {
   return { lat: detourLat, lng: detourLng };
 }
 
-function buildDirectionsCoordinates({ startLat, startLng, waypoints }) {
+// optimizeOrder values for /api/loop: shortest tour, or least-overlapping routed tour
+const OPTIMIZE_ORDER_MODES = ["distance", "overlap"];
+
+// Routed candidates checked for the "overlap" mode (the N shortest tours)
+const OVERLAP_ORDER_CANDIDATES = 4;
+
+// start -> waypoints -> destination, or back to the start without one
+function buildDirectionsCoordinates({ startLat, startLng, waypoints, destination = null }) {
   const coords = [];
   coords.push([startLng, startLat]);
   for (const wp of waypoints) coords.push([wp.lng, wp.lat]);
-  coords.push([startLng, startLat]);
+  coords.push(destination ? [destination.lng, destination.lat] : [startLng, startLat]);
   return coords;
 }
 
+// Request destination -> { lat, lng }, null when absent, undefined when invalid
+function parseDestination(destination) {
+  if (destination == null) return null;
+  const lat = Number(destination.lat);
+  const lng = Number(destination.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return undefined;
+  return { lat, lng };
+}
+
+// A point-to-point route within this share of the target is not padded
+const DESTINATION_DISTANCE_TOLERANCE = 0.03;
+
 // -------------------- Avoid polygons from blocked segments --------------------
 
 function segmentToRectanglePolygon(a, b, halfWidthMeters = 18) {
@@ -306,19 +347,61 @@ function buildAvoidPolygons(blockedSegments, halfWidthMeters = 18) {
   };
 }
 
+/**
+ * The request's noGoZones (zone shapes, see noGoZones.js), or the saved zones
+ * when the request has none, that can matter for a route of targetM around
+ * the start -> MultiPolygon or null. An empty noGoZones avoids nothing.
+ * Throws 400 for bad zones or a provider that cannot avoid areas.
+ */
+async function noGoAvoidPolygons(noGoZones, { startLat, startLng, targetM }) {
+  if (noGoZones == null) noGoZones = await zoneStore.list();
+  if (!Array.isArray(noGoZones)) {
+    const err = new Error("Invalid noGoZones");
+    err.status = 400;
+    err.details = "noGoZones must be an array";
+    throw err;
+  }
+
+  const avoid = zonesToAvoidPolygons(noGoZones.map(cleanZoneShape), {
+    from: { lat: startLat, lng: startLng },
+    withinM: targetM,
+  });
+
+  if (avoid && !routing.supportsAvoidPolygons) {
+    const err = new Error("No-go zones not supported");
+    err.status = 400;
+    err.details = `${routing.name} cannot avoid areas; remove the no-go zones or use ORS, GraphHopper, Valhalla or the offline router`;
+    throw err;
+  }
+  return avoid;
+}
+
+function mergeAvoidPolygons(...multiPolygons) {
+  const coordinates = multiPolygons.flatMap((mp) => mp?.coordinates || []);
+  return coordinates.length ? { type: "MultiPolygon", coordinates } : null;
+}
+
 // -------------------- GeoJSON concat helpers --------------------
 
 function getCoords(geojson) {
   return geojson?.features?.[0]?.geometry?.coordinates || [];
 }
 
-function makeLineStringGeoJson(coordsLngLat) {
+// steps (ORS shape, way_points indexing coordsLngLat) ride along in one segment
+function makeLineStringGeoJson(coordsLngLat, steps = null, extras = null) {
+  const distance = lineDistanceM(coordsLngLat);
   return {
     type: "FeatureCollection",
     features: [
       {
         type: "Feature",
-        properties: {},
+        properties: steps
+          ? {
+              summary: { distance },
+              segments: [{ distance, steps: measureSteps(steps, coordsLngLat) }],
+              ...(extras && Object.keys(extras).length ? { extras: summarizeExtras(extras, coordsLngLat) } : {}),
+            }
+          : {},
         geometry: {
           type: "LineString",
           coordinates: coordsLngLat,
@@ -345,7 +428,10 @@ function concatRoutesGeoJson(g1, g2) {
     Math.abs(last1[1] - first2[1]) < 1e-6;
 
   const merged = same ? [...c1, ...c2.slice(1)] : [...c1, ...c2];
-  return makeLineStringGeoJson(merged);
+  const offset = same ? c1.length - 1 : c1.length;
+  const steps = joinSteps(routeSteps(g1), shiftSteps(routeSteps(g2), offset), merged);
+  const extras = joinExtras(routeExtras(g1), shiftExtras(routeExtras(g2), offset));
+  return makeLineStringGeoJson(merged, steps, extras);
 }
 
 // -------------------- Filler / anchor helpers --------------------
@@ -367,119 +453,305 @@ function farthestPointFromStart(coordsLngLat, startLat, startLng) {
   return best;
 }
 
-// -------------------- ORS calls --------------------
+// -------------------- Elevation goals --------------------
 
-async function orsDirectionsGeoJson({
-  apiKey,
-  coordinates,
-  profile = "foot-walking",
-  options = undefined,
-}) {
-  const orsUrl = `https://api.openrouteservice.org/v2/directions/${profile}/geojson`;
+// How much a fully missed elevation goal weighs against distance error
+const ELEVATION_GOAL_WEIGHT = 0.5;
 
-  const body = { coordinates };
-  if (options) body.options = options;
+/**
+ * Request elevationGoal -> { mode, targetAscentM } | null.
+ *   "flat" / { mode: "min" }                 -> minimise climbing
+ *   "hilly" / { mode: "max" }                -> maximise climbing
+ *   { mode: "target", ascentM: 250 }         -> hit roughly 250 m of ascent
+ * Returns undefined for an invalid goal.
+ */
+function parseElevationGoal(goal) {
+  if (goal == null || goal === "" || goal === "any") return null;
+  if (goal === "flat") return { mode: "min", targetAscentM: null };
+  if (goal === "hilly") return { mode: "max", targetAscentM: null };
+
+  const mode = goal?.mode;
+  if (mode === "min" || mode === "max") return { mode, targetAscentM: null };
+  if (mode === "target") {
+    const target = Number(goal.ascentM);
+    if (Number.isFinite(target) && target >= 0) return { mode, targetAscentM: target };
+  }
+  return undefined;
+}
 
-  const resp = await fetch(orsUrl, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: apiKey,
-    },
-    body: JSON.stringify(body),
-  });
+/**
+ * 0 = goal met, 1 = goal badly missed. Ascent is compared per km for
+ * min/max so longer candidates aren't favoured just for being longer.
+ */
+function elevationGoalError(goal, ascentM, distM) {
+  const perKm = ascentM / Math.max(0.1, distM / 1000);
+  if (goal.mode === "min") return Math.min(1, perKm / 30);
+  if (goal.mode === "max") return 1 / (1 + perKm / 10);
+  return Math.min(1, Math.abs(ascentM - goal.targetAscentM) / Math.max(50, goal.targetAscentM));
+}
 
-  if (resp.status === 429) {
-    const text = await resp.text();
-    const err = new Error("Rate limit exceeded");
-    err.status = 429;
-    err.details = text;
-    throw err;
+// -------------------- Candidate scoring --------------------
+
+// Weights of the terms in a round-trip candidate's score (lower is better):
+//   distance      |dist - target| / target
+//   overlap       share of the loop run twice (overlapRatio)
+//   spur          1 when a short out-and-back spur is present
+//   compactness   1 - isoperimetric quotient (0 for a circle, 1 for a line)
+//   elevationGoal elevationGoalError, when a goal and DEM tiles are present
+//   ways          wayPreferencePenalty, when the request has way preferences
+const DEFAULT_SCORE_WEIGHTS = {
+  distance: 1,
+  overlap: 0,
+  spur: 0.5,
+  compactness: 0,
+  elevationGoal: ELEVATION_GOAL_WEIGHT,
+  ways: 1,
+};
+
+// What the "Avoid overlapping roads" checkbox (preferLowOverlap) switches on
+const LOW_OVERLAP_WEIGHTS = { overlap: 1, compactness: 0.3 };
+
+/**
+ * Request weights (any subset) on top of the defaults -> weights, or
+ * undefined when a weight is not a non-negative number.
+ */
+function parseScoreWeights(weights, preferLowOverlap) {
+  const out = { ...DEFAULT_SCORE_WEIGHTS, ...(preferLowOverlap ? LOW_OVERLAP_WEIGHTS : {}) };
+  if (weights == null) return out;
+  if (typeof weights !== "object") return undefined;
+
+  for (const [key, value] of Object.entries(weights)) {
+    if (!(key in DEFAULT_SCORE_WEIGHTS)) return undefined;
+    const w = Number(value);
+    if (!Number.isFinite(w) || w < 0) return undefined;
+    out[key] = w;
   }
+  return out;
+}
 
-  if (!resp.ok) {
-    const text = await resp.text();
-    const err = new Error("ORS request failed");
-    err.status = resp.status;
-    err.details = text;
-    throw err;
+/**
+ * Isoperimetric quotient 4πA/P² of the closed loop in a local metric frame:
+ * 1 for a circle, near 0 for an out-and-back.
+ */
+function loopCompactness(coordsLngLat) {
+  if (!coordsLngLat || coordsLngLat.length < 3) return 0;
+
+  const lat0 = coordsLngLat[0][1];
+  const kx = 111320 * Math.cos(toRad(lat0));
+  const ky = 111320;
+
+  let area2 = 0;
+  let perimeter = 0;
+  const n = coordsLngLat.length;
+  for (let i = 0; i < n; i++) {
+    const [lngA, latA] = coordsLngLat[i];
+    const [lngB, latB] = coordsLngLat[(i + 1) % n];
+    const ax = lngA * kx;
+    const ay = latA * ky;
+    const bx = lngB * kx;
+    const by = latB * ky;
+    area2 += ax * by - bx * ay;
+    perimeter += Math.hypot(bx - ax, by - ay);
   }
 
-  return await resp.json();
+  if (perimeter === 0) return 0;
+  return Math.min(1, (4 * Math.PI * Math.abs(area2 / 2)) / (perimeter * perimeter));
 }
 
-async function orsRoundTripGeoJson({
-  apiKey,
-  startLat,
-  startLng,
-  lengthMeters,
-  profile = "foot-walking",
-  points = 6,
-  seed = 1,
-}) {
-  const orsUrl = `https://api.openrouteservice.org/v2/directions/${profile}/geojson`;
+/**
+ * The weights as they apply to a shape: overlap is the whole point of an
+ * out-and-back, and neither multi-loop shapes nor point-to-point routes are
+ * compact, so those terms would only add the same amount to every candidate.
+ */
+function weightsForShape(weights, shape) {
+  if (shape === "out-and-back") return { ...weights, overlap: 0, compactness: 0 };
+  if (shape !== "loop") return { ...weights, compactness: 0 };
+  return weights;
+}
 
-  const resp = await fetch(orsUrl, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: apiKey,
-    },
-    body: JSON.stringify({
-      coordinates: [[startLng, startLat]],
-      options: {
-        round_trip: {
-          length: Math.round(lengthMeters),
-          points,
-          seed,
-        },
-      },
-    }),
-  });
+/**
+ * Weighted score + the weighted term per metric (breakdown sums to score).
+ */
+function scoreCandidate({ distError, overlap, spur, compactness, goalError, wayPenalty }, weights) {
+  const breakdown = {
+    distance: weights.distance * distError,
+    overlap: weights.overlap * overlap,
+    spur: weights.spur * (spur ? 1 : 0),
+    compactness: weights.compactness * (1 - compactness),
+    elevationGoal: goalError != null ? weights.elevationGoal * goalError : 0,
+    ways: weights.ways * wayPenalty,
+  };
+  const score = Object.values(breakdown).reduce((sum, v) => sum + v, 0);
+  return { score, breakdown };
+}
 
-  if (resp.status === 429) {
-    const text = await resp.text();
-    const err = new Error("Rate limit exceeded");
-    err.status = 429;
-    err.details = text;
-    throw err;
+// -------------------- Loop generation (round-trip + retry) --------------------
+
+const MAX_ALTERNATIVES = 5;
+
+// Candidates sharing more than this much of their length count as the same loop
+const ALTERNATIVE_MAX_SIMILARITY = 0.7;
+
+/**
+ * One attempt at a route of the given shape: the provider's round trip for a
+ * loop, otherwise directions through the shape's via-points. An out-and-back
+ * is routed out and back separately, so it returns the way it came;
+ * "point-to-point" pads start -> destination with via-points to the length.
+ * -> { geojson, turnaround } (turnaround [lng,lat] for out-and-back only)
+ */
+async function routeShapeAttempt({ shape, petals, destination, lat, lng, lengthMeters, profile, points, seed, avoidPolygons }) {
+  if (shape === "loop") {
+    const geojson = await routing.roundTrip({
+      startLat: lat,
+      startLng: lng,
+      lengthMeters,
+      profile: profile.routingProfile,
+      points,
+      seed,
+      avoidPolygons,
+    });
+    return { geojson, turnaround: null };
   }
 
-  if (!resp.ok) {
-    const text = await resp.text();
-    const err = new Error("ORS round-trip request failed");
-    err.status = resp.status;
-    err.details = text;
-    throw err;
+  if (shape === "point-to-point") {
+    const via = paddingViaPoints({
+      startLat: lat,
+      startLng: lng,
+      destLat: destination.lat,
+      destLng: destination.lng,
+      lengthMeters,
+      seed,
+    });
+    const geojson = await routing.directions({
+      coordinates: [[lng, lat], ...via, [destination.lng, destination.lat]],
+      profile: profile.routingProfile,
+      avoidPolygons,
+    });
+    return { geojson, turnaround: null };
   }
 
-  return await resp.json();
+  const bearing = shapeBearing(seed);
+
+  if (shape === "out-and-back") {
+    const target = outAndBackTurnaround({ startLat: lat, startLng: lng, lengthMeters, bearing });
+    const out = await routing.directions({
+      coordinates: [[lng, lat], target],
+      profile: profile.routingProfile,
+      avoidPolygons,
+    });
+
+    const outCoords = getCoords(out);
+    if (outCoords.length < 2) return { geojson: out, turnaround: null };
+
+    const turnaround = outCoords[outCoords.length - 1].slice(0, 2);
+    const back = await routing.directions({
+      coordinates: [turnaround, [lng, lat]],
+      profile: profile.routingProfile,
+      avoidPolygons,
+    });
+    return { geojson: concatRoutesGeoJson(out, back), turnaround };
+  }
+
+  const geojson = await routing.directions({
+    coordinates: petalCoordinates({
+      startLat: lat,
+      startLng: lng,
+      lengthMeters,
+      bearing,
+      petals,
+      crossAtStart: shape === "figure-eight",
+    }),
+    profile: profile.routingProfile,
+    avoidPolygons,
+  });
+  return { geojson, turnaround: null };
 }
 
-// -------------------- Loop generation (round-trip + retry) --------------------
+/**
+ * Round-trip seed for an attempt: random, so every plan is a new route,
+ * unless the request names a `variation`. Then the same variation, start,
+ * length and attempt always give the same seed, and planning that again
+ * sends the same requests for the routing cache to answer.
+ */
+function attemptSeed(variation, lat, lng, lengthMeters, attempt) {
+  if (variation == null) return Math.floor(Math.random() * 1_000_000);
+
+  const key = `${variation},${Number(lat).toFixed(6)},${Number(lng).toFixed(6)},${Math.round(lengthMeters)},${attempt}`;
+  let h = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < key.length; i++) {
+    h ^= key.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % 1_000_000;
+}
 
-async function generateLoopGeoJson({ lat, lng, distanceKm, apiKey, avoidSpurs = true }) {
+/**
+ * Best round trip (or other `shape`, see shapes.js) out of up to 10 attempts,
+ * plus up to `alternatives - 1` runners-up that differ enough from it and
+ * from each other (result.candidates, best first). Attempts stop once
+ * `alternatives` distinct routes are good enough.
+ */
+async function generateLoopGeoJson({
+  lat,
+  lng,
+  distanceKm,
+  profile,
+  avoidSpurs = true,
+  elevationGoal = null,
+  alternatives = 1,
+  weights = DEFAULT_SCORE_WEIGHTS,
+  avoidPolygons = null,
+  shape = "loop",
+  petals = 1,
+  destination = null,
+  wayPreferences = [],
+  variation = null,
+}) {
   const targetM = Number(distanceKm) * 1000;
   const attempts = 10;
+  const useGoal = Boolean(elevationGoal && elevation.available);
+
+  // shapes are sized from straight lines; scale them by how far off the last one came out
+  let lengthScale = 1;
 
   let best = null;
+  const log = [];
+  const scored = [];
+  const goodEnough = []; // distinct routes (coords) that passed the "good enough" checks below
 
   for (let a = 0; a < attempts; a++) {
-    const seed = Math.floor(Math.random() * 1_000_000);
+    const seed = attemptSeed(variation, lat, lng, targetM, a);
     const points = a % 2 === 0 ? 6 : 8;
-
-    const geojson = await orsRoundTripGeoJson({
-      apiKey,
-      startLat: lat,
-      startLng: lng,
-      lengthMeters: targetM,
-      profile: "foot-walking",
-      points,
-      seed,
-    });
+    const entry = { attempt: a + 1, seed, points };
+    log.push(entry);
+
+    let geojson;
+    let turnaround;
+    try {
+      ({ geojson, turnaround } = await routeShapeAttempt({
+        shape,
+        petals,
+        destination,
+        lat,
+        lng,
+        lengthMeters: targetM * lengthScale,
+        profile,
+        points,
+        seed,
+        avoidPolygons,
+      }));
+    } catch (err) {
+      // a seed can put a via-point where avoided areas cut it off; try the next one
+      if (err?.status !== 404 || !avoidPolygons) throw err;
+      entry.rejected = "no route";
+      continue;
+    }
 
     const coords = geojson?.features?.[0]?.geometry?.coordinates;
-    if (!coords || coords.length < 2) continue;
+    if (!coords || coords.length < 2) {
+      entry.rejected = "no geometry";
+      continue;
+    }
 
     const feat = geojson?.features?.[0];
     const distFromOrs =
@@ -488,48 +760,140 @@ async function generateLoopGeoJson({ lat, lng, distanceKm, apiKey, avoidSpurs =
       null;
 
     const distM = distFromOrs ?? lineDistanceM(coords);
-    if (distM == null || Number.isNaN(distM) || distM <= 0) continue;
-
-    if (avoidSpurs && hasShortOutAndBackSpur(coords, 160)) continue;
+    if (distM == null || Number.isNaN(distM) || distM <= 0) {
+      entry.rejected = "no distance";
+      continue;
+    }
 
     const distError = Math.abs(distM - targetM) / targetM;
-    const ov = overlapRatio(coords, 20);
+    entry.distM = distM;
+    entry.distError = distError;
+    if (shape !== "loop") lengthScale *= Math.max(0.7, Math.min(1.4, targetM / distM));
+
+    // an out-and-back is one long spur by design
+    const spur = shape !== "out-and-back" && hasShortOutAndBackSpur(coords, profile.spurMaxDetourM);
+    entry.spur = spur;
+    if (avoidSpurs && spur) {
+      entry.rejected = "spur";
+      continue;
+    }
+
+    const ov = overlapRatio(coords, profile.overlapGridM);
+    entry.overlap = ov;
+
+    const compactness = loopCompactness(coords);
+    entry.compactness = compactness;
+
+    let goalError = null;
+    let ascentM = null;
+
+    if (useGoal) {
+      ascentM = elevation.profileRoute(coords)?.ascentM ?? null;
+      if (ascentM != null) {
+        goalError = elevationGoalError(elevationGoal, ascentM, distM);
+        entry.ascentM = ascentM;
+        entry.goalError = goalError;
+      }
+    }
 
-    const score = distError;
+    const ways = wayPreferencePenalty(routeExtras(geojson), wayPreferences);
+    entry.wayPenalty = ways.penalty;
+
+    const { score, breakdown } = scoreCandidate(
+      { distError, overlap: ov, spur, compactness, goalError, wayPenalty: ways.penalty },
+      weights
+    );
+    entry.score = score;
 
     const candidate = {
       geojson,
+      turnaround,
+      seed,
+      points,
       distM,
       targetM,
       overlap: ov,
       distError,
+      spur,
+      compactness,
+      ascentM,
+      goalError,
+      wayPenalty: ways.penalty,
+      wayPenalties: ways.byPreference,
       attemptsTried: a + 1,
       score,
+      scoreBreakdown: breakdown,
     };
 
+    scored.push(candidate);
     if (!best || candidate.score < best.score) best = candidate;
-    if (distError <= 0.03) return best;
+
+    // Without a goal a close distance is good enough; a target ascent also
+    // has to be close, and so does overlap or the way preferences when they
+    // are weighed. Min/max goals and compactness have no "close enough", so
+    // try them all.
+    if (weights.compactness > 0) continue;
+    if (weights.overlap > 0 && ov > 0.05) continue;
+    if (weights.ways > 0 && ways.penalty > 0.1) continue;
+    if (distError > 0.03) continue;
+    if (useGoal && !(elevationGoal.mode === "target" && goalError != null && goalError <= 0.1)) continue;
+
+    if (distinctFrom(coords, goodEnough)) goodEnough.push(coords);
+    if (goodEnough.length >= alternatives) break;
   }
 
+  if (!best) return null;
+
+  best.attempts = log;
+  best.candidates = [];
+  for (const c of scored.sort((x, y) => x.score - y.score)) {
+    if (best.candidates.length >= alternatives) break;
+    if (distinctFrom(getCoords(c.geojson), best.candidates.map((other) => getCoords(other.geojson)))) {
+      best.candidates.push(c);
+    }
+  }
   return best;
 }
 
-async function bestFillerRoundTrip({ apiKey, startLat, startLng, lengthMeters, attempts = 8 }) {
+// Whether route `coords` differs enough from every route in `others` to be an alternative
+function distinctFrom(coords, others) {
+  return others.every(
+    (other) =>
+      routeSimilarity(coords, other) < ALTERNATIVE_MAX_SIMILARITY &&
+      routeSimilarity(other, coords) < ALTERNATIVE_MAX_SIMILARITY
+  );
+}
+
+async function bestFillerRoundTrip({
+  startLat,
+  startLng,
+  lengthMeters,
+  profile,
+  attempts = 8,
+  avoidPolygons = null,
+  variation = null,
+}) {
   let best = null;
 
   for (let i = 0; i < attempts; i++) {
-    const seed = Math.floor(Math.random() * 1_000_000);
+    const seed = attemptSeed(variation, startLat, startLng, lengthMeters, i);
     const points = i % 2 === 0 ? 6 : 8;
 
-    const g = await orsRoundTripGeoJson({
-      apiKey,
-      startLat,
-      startLng,
-      lengthMeters,
-      profile: "foot-walking",
-      points,
-      seed,
-    });
+    let g;
+    try {
+      g = await routing.roundTrip({
+        startLat,
+        startLng,
+        lengthMeters,
+        profile: profile.routingProfile,
+        points,
+        seed,
+        avoidPolygons,
+      });
+    } catch (err) {
+      if (err?.status !== 404 || !avoidPolygons) throw err;
+      continue;
+    }
 
     const coords = getCoords(g);
     if (!coords || coords.length < 2) continue;
@@ -537,9 +901,9 @@ async function bestFillerRoundTrip({ apiKey, startLat, startLng, lengthMeters, a
     const dist = lineDistanceM(coords);
     if (!dist) continue;
 
-    if (hasShortOutAndBackSpur(coords, 160)) continue;
+    if (hasShortOutAndBackSpur(coords, profile.spurMaxDetourM)) continue;
 
-    const ov = overlapRatio(coords, 20);
+    const ov = overlapRatio(coords, profile.overlapGridM);
     const distErr = Math.abs(dist - lengthMeters) / lengthMeters;
 
     const score = ov * 1.0 + distErr * 0.2;
@@ -553,10 +917,6 @@ async function bestFillerRoundTrip({ apiKey, startLat, startLng, lengthMeters, a
 
 // -------------------- Reroute helpers --------------------
 
-function geojsonToCoordsLngLat(geojson) {
-  return geojson?.features?.[0]?.geometry?.coordinates || [];
-}
-
 /**
  * Pick N evenly spaced points from coords array.
  * Returns [ [lng,lat], ... ]
@@ -578,9 +938,331 @@ function sampleCoordsEvenly(coordsLngLat, n) {
   return result;
 }
 
+// Route points kept on either side of a blocked range (tweak: 2–6 depending on route point density)
+const REROUTE_ANCHOR_BUFFER = 3;
+
+/**
+ * Blocked segment indices -> sorted contiguous ranges [{ startIdx, endIdx }].
+ */
+function groupBlockedRanges(indices) {
+  const sorted = [...new Set(indices)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const i of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && i === last.endIdx + 1) last.endIdx = i;
+    else ranges.push({ startIdx: i, endIdx: i });
+  }
+  return ranges;
+}
+
+/**
+ * The blocked ranges of a reroute request, clamped to the route's segments:
+ * blockedRanges, else the single blockedRange (older clients), else the route
+ * points nearest to blockedSegments, grouped into contiguous ranges.
+ */
+function requestBlockedRanges({ blockedRanges, blockedRange, blockedSegments }, baseCoords) {
+  const lastSeg = baseCoords.length - 2;
+  const clamp = (i) => Math.max(0, Math.min(lastSeg, Math.round(i)));
+
+  const explicit = Array.isArray(blockedRanges) ? blockedRanges : blockedRange ? [blockedRange] : null;
+  const indices = [];
+
+  if (explicit) {
+    for (const r of explicit) {
+      if (!Number.isFinite(r?.startIdx) || !Number.isFinite(r?.endIdx)) continue;
+      const lo = clamp(Math.min(r.startIdx, r.endIdx));
+      const hi = clamp(Math.max(r.startIdx, r.endIdx));
+      for (let i = lo; i <= hi; i++) indices.push(i);
+    }
+  } else if (Array.isArray(blockedSegments)) {
+    // best-effort: the route point nearest each blocked segment's start
+    for (const s of blockedSegments) {
+      if (!Number.isFinite(s?.a?.lat) || !Number.isFinite(s?.a?.lng)) continue;
+
+      let best = 0;
+      let bestD = Infinity;
+      for (let i = 0; i < baseCoords.length; i++) {
+        const [clng, clat] = baseCoords[i];
+        const d = (clat - s.a.lat) * (clat - s.a.lat) + (clng - s.a.lng) * (clng - s.a.lng);
+        if (d < bestD) {
+          bestD = d;
+          best = i;
+        }
+      }
+      indices.push(clamp(best));
+    }
+  }
+
+  return groupBlockedRanges(indices);
+}
+
+/**
+ * Anchors (aIdx, bIdx) around each range. Ranges whose anchors would overlap
+ * are merged and bridged by one detour; blockedRanges lists what was merged.
+ */
+function anchorBlockedRanges(ranges, pointCount) {
+  const out = [];
+  for (const r of ranges) {
+    const aIdx = Math.max(0, r.startIdx - REROUTE_ANCHOR_BUFFER);
+    const bIdx = Math.min(pointCount - 1, r.endIdx + 1 + REROUTE_ANCHOR_BUFFER);
+    const prev = out[out.length - 1];
+
+    if (prev && aIdx <= prev.bIdx) {
+      prev.endIdx = r.endIdx;
+      prev.bIdx = bIdx;
+      prev.blockedRanges.push(r);
+    } else {
+      out.push({ startIdx: r.startIdx, endIdx: r.endIdx, aIdx, bIdx, blockedRanges: [r] });
+    }
+  }
+  return out;
+}
+
+/**
+ * Detour from the range's anchor A to anchor B around the blocked roads,
+ * the no-go zones and (BLUE) the rest of the route, except around the
+ * anchors so the detour can leave and rejoin it.
+ */
+async function bridgeBlockedRange({ startIdx, endIdx, aIdx, bIdx }, { baseCoords, redAvoid, noGoAvoid, profile }) {
+  const A = baseCoords[aIdx].slice(0, 2); // [lng,lat] (imported routes may carry elevation)
+  const B = baseCoords[bIdx].slice(0, 2);
+
+  const blueAvoidPolys = buildRouteCorridorPolygons(baseCoords, {
+    widthM: 14,        // corridor thickness (meters)
+    skipSegFrom: startIdx,
+    skipSegTo: endIdx,
+    skipAroundAIdx: aIdx,
+    skipAroundBIdx: bIdx,
+    skipWindow: 3,     // how many segments around anchors to allow
+  });
+
+  const detourGeo = await routing.directions({
+    coordinates: [A, B],
+    profile: profile.routingProfile,
+    avoidPolygons: mergeAvoidPolygons(redAvoid, { coordinates: blueAvoidPolys.map((ring) => [ring]) }, noGoAvoid),
+  });
+
+  return { detourGeo, blueAvoidCount: blueAvoidPolys.length };
+}
+
+/**
+ * Replace coords[aIdx..bIdx] with the detour: prefix + detour + suffix, with
+ * the instructions and way details clipped at the anchors and the detour's
+ * and suffix's shifted onto the merged coordinates.
+ * -> { coords, steps, extras, span }, span being the [A, B] indices of the new
+ * section in the merged coordinates.
+ */
+function spliceDetour(coords, steps, extras, { aIdx, bIdx, detourGeo }) {
+  const A = coords[aIdx];
+  const B = coords[bIdx];
+  const detourCoords = getCoords(detourGeo);
+
+  const prefix = coords.slice(0, aIdx + 1);
+  const suffix = coords.slice(bIdx);
+
+  let detourMid = detourCoords;
+  let detourOffset = prefix.length; // merged index of detourCoords[0]
+
+  // Drop first if it equals A
+  if (
+    detourMid.length >= 2 &&
+    Math.abs(detourMid[0][0] - A[0]) < 1e-10 &&
+    Math.abs(detourMid[0][1] - A[1]) < 1e-10
+  ) {
+    detourMid = detourMid.slice(1);
+    detourOffset = aIdx;
+  }
+
+  // Drop last if it equals B (suffix already starts at B)
+  const last = detourMid[detourMid.length - 1];
+  if (
+    detourMid.length >= 2 &&
+    Math.abs(last[0] - B[0]) < 1e-10 &&
+    Math.abs(last[1] - B[1]) < 1e-10
+  ) {
+    detourMid = detourMid.slice(0, -1);
+  }
+
+  const merged = prefix.concat(detourMid, suffix);
+
+  const suffixShift = prefix.length + detourMid.length - bIdx;
+  const mergedSteps = joinSteps(
+    joinSteps(sliceSteps(steps, 0, aIdx), shiftSteps(routeSteps(detourGeo), detourOffset), merged),
+    shiftSteps(sliceSteps(steps, bIdx, coords.length - 1), suffixShift),
+    merged
+  );
+  const mergedExtras = joinExtras(
+    joinExtras(sliceExtras(extras, 0, aIdx), shiftExtras(routeExtras(detourGeo), detourOffset)),
+    shiftExtras(sliceExtras(extras, bIdx, coords.length - 1), suffixShift)
+  );
+
+  return {
+    coords: merged,
+    steps: mergedSteps,
+    extras: mergedExtras,
+    span: [aIdx, prefix.length + detourMid.length],
+  };
+}
+
+// -------------------- Distance-preserving reroute --------------------
+
+// Within this share of the target a rerouted loop counts as the planned distance
+const REROUTE_DISTANCE_TOLERANCE = 0.02;
+
+// Roads are longer than the straight line between their ends by about this much
+const ROAD_DETOUR_FACTOR = 1.2;
+
+/**
+ * Stretches of the loop that may be re-planned to fix its length: for each
+ * length, up to `perLength` windows spread round the loop, clear of the
+ * start/finish and of the `protectedSpans` (the new detours).
+ * -> [{ fromIdx, toIdx, windowM }]
+ */
+function compensationWindows(coords, { lengthsM, protectedSpans, perLength = 3 }) {
+  const cum = [0];
+  for (let i = 1; i < coords.length; i++) {
+    cum.push(cum[i - 1] + haversineM(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]));
+  }
+  const total = cum[cum.length - 1];
+  const indexAt = (m) => cum.findIndex((c) => c >= m);
+
+  const windows = [];
+  for (const lengthM of lengthsM) {
+    const fits = [];
+    for (let k = 1; k < 16; k++) {
+      const fromIdx = indexAt((k / 16) * total - lengthM / 2);
+      const toIdx = indexAt((k / 16) * total + lengthM / 2);
+      if (fromIdx < 1 || toIdx < 0 || toIdx > coords.length - 2 || toIdx - fromIdx < 2) continue;
+      if (protectedSpans.some(([a, b]) => fromIdx <= b && toIdx >= a)) continue;
+      if (fits.some((w) => w.fromIdx === fromIdx && w.toIdx === toIdx)) continue;
+      fits.push({ fromIdx, toIdx, windowM: cum[toIdx] - cum[fromIdx] });
+    }
+
+    // evenly picked, so the tries are not all on the same stretch
+    const step = Math.max(1, fits.length / perLength);
+    for (let i = 0; i < fits.length && windows.length < perLength * lengthsM.length; i += step) {
+      windows.push(fits[Math.floor(i)]);
+    }
+  }
+  return windows;
+}
+
+// Point beside the chord A-B, away from the loop's centre, so that A -> via -> B
+// by road is about `pathM` long
+function bulgeViaPoint(A, B, pathM, centre) {
+  const midLat = (A[1] + B[1]) / 2;
+  const midLng = (A[0] + B[0]) / 2;
+  const kx = 111320 * Math.cos(toRad(midLat));
+  const ky = 111320;
+
+  const chordM = haversineM(A[1], A[0], B[1], B[0]);
+  const halfM = pathM / ROAD_DETOUR_FACTOR / 2;
+  const offsetM = Math.sqrt(Math.max(0, halfM * halfM - (chordM / 2) ** 2));
+
+  // unit normal of the chord in metres, flipped to point outwards
+  let nx = -(B[1] - A[1]) * ky;
+  let ny = (B[0] - A[0]) * kx;
+  const len = Math.hypot(nx, ny) || 1;
+  nx /= len;
+  ny /= len;
+  if (nx * (midLng - centre[0]) * kx + ny * (midLat - centre[1]) * ky < 0) {
+    nx = -nx;
+    ny = -ny;
+  }
+
+  return [midLng + (nx * offsetM) / kx, midLat + (ny * offsetM) / ky];
+}
+
+/**
+ * Bring a rerouted loop back to targetM by re-planning one stretch elsewhere
+ * on it: a shortcut between two of its points when it is too long, a bulge
+ * through an offset via-point when too short. Tries a handful of stretches
+ * and keeps the one that lands closest to the target, if that closes a fair
+ * part of the gap. -> { coords, steps, extras, window } (window null if unchanged)
+ */
+async function compensateRerouteDistance({ coords, steps, extras, targetM, protectedSpans, avoid, profile }) {
+  const totalM = lineDistanceM(coords);
+  const deltaM = totalM - targetM;
+  const unchanged = { coords, steps, extras, window: null };
+  if (Math.abs(deltaM) <= targetM * REROUTE_DISTANCE_TOLERANCE) return unchanged;
+
+  const shorten = deltaM > 0;
+  const needM = Math.abs(deltaM);
+  const maxWindowM = totalM * 0.4;
+  const lengthsM = (shorten ? [1.5, 3] : [0.5, 1]).map((k) => Math.min(maxWindowM, Math.max(200, k * needM)));
+
+  const centre = [
+    coords.reduce((sum, c) => sum + c[0], 0) / coords.length,
+    coords.reduce((sum, c) => sum + c[1], 0) / coords.length,
+  ];
+
+  let best = null;
+  for (const w of compensationWindows(coords, { lengthsM: [...new Set(lengthsM)], protectedSpans })) {
+    const A = coords[w.fromIdx].slice(0, 2);
+    const B = coords[w.toIdx].slice(0, 2);
+    const via = shorten ? [] : [bulgeViaPoint(A, B, w.windowM + needM, centre)];
+
+    // keep off the rest of the loop, except where the new stretch leaves and rejoins it
+    const corridor = buildRouteCorridorPolygons(coords, {
+      widthM: 14,
+      skipSegFrom: w.fromIdx,
+      skipSegTo: w.toIdx - 1,
+      skipAroundAIdx: w.fromIdx,
+      skipAroundBIdx: w.toIdx,
+      skipWindow: 3,
+    });
+
+    let g;
+    try {
+      g = await routing.directions({
+        coordinates: [A, ...via, B],
+        profile: profile.routingProfile,
+        avoidPolygons: mergeAvoidPolygons(avoid, { coordinates: corridor.map((ring) => [ring]) }),
+      });
+    } catch (err) {
+      if (err?.status !== 400 && err?.status !== 404) throw err;
+      continue;
+    }
+
+    const newM = lineDistanceM(getCoords(g));
+    if (newM == null) continue;
+
+    const resultM = totalM - w.windowM + newM;
+    const errorM = Math.abs(resultM - targetM);
+    if (!best || errorM < best.errorM) best = { ...w, detourGeo: g, resultM, errorM };
+  }
+
+  // not worth re-planning a stretch for less than a quarter of the gap
+  if (!best || best.errorM > needM * 0.75) return unchanged;
+
+  const spliced = spliceDetour(coords, steps, extras, {
+    aIdx: best.fromIdx,
+    bIdx: best.toIdx,
+    detourGeo: best.detourGeo,
+  });
+  return {
+    coords: spliced.coords,
+    steps: spliced.steps,
+    extras: spliced.extras,
+    window: {
+      kind: shorten ? "shorten" : "lengthen",
+      fromIdx: best.fromIdx,
+      toIdx: best.toIdx,
+      replacedM: best.windowM,
+      newM: best.resultM - totalM + best.windowM,
+    },
+  };
+}
+
 // -------------------- Routes --------------------
 
-app.get("/api/health", (req, res) => res.json({ ok: true }));
+app.get("/api/health", (req, res) =>
+  res.json({ ok: true, provider: routing.name, elevation: elevation.available })
+);
+
+// Upstream routing usage: requests, retries, cache hits, the limiter's
+// minute/day budget and the quota upstream last reported (null offline)
+app.get("/api/quota", (req, res) => res.json({ provider: routing.name, usage: routing.usage() }));
 
 app.get("/api/debug-key", (req, res) => {
   const key = process.env.ORS_API_KEY;
@@ -594,50 +1276,243 @@ app.get("/api/debug-key", (req, res) => {
 // Generate loop (supports waypoints + filler to reach target distance)
 app.post("/api/loop", async (req, res) => {
   try {
-    const { lat, lng, distanceKm, avoidSpurs, waypoints } = req.body;
+    const { lat, lng, distanceKm, avoidSpurs, waypoints, preferLowOverlap } = req.body;
 
-    if (!lat || !lng || !distanceKm) {
+    if (!lat || !lng || (!distanceKm && !req.body.timeTarget)) {
       return res.status(400).json({ error: "Missing lat/lng/distanceKm" });
     }
 
+    const profile = resolveProfile(req.body.profile);
+    if (!profile) {
+      return res.status(400).json({ error: `Unknown profile "${req.body.profile}"` });
+    }
+
+    const pacing = parsePacing(req.body.pacing, profile);
+    if (!pacing) {
+      return res.status(400).json({
+        error: "Invalid pacing",
+        details: `pace as "m:ss" per km, climbRule one of ${CLIMB_RULES.join(", ")}`,
+      });
+    }
+
+    // a duration target wins over distanceKm: the distance covered at the pace on the flat
+    const durationS = parseTimeTarget(req.body.timeTarget);
+    if (durationS === undefined) {
+      return res.status(400).json({ error: "Invalid timeTarget", details: "minutes must be 1-1440" });
+    }
+    const flatKm = durationS ? targetDistanceKm(durationS, pacing) : Number(distanceKm);
+
+    const elevationGoal = parseElevationGoal(req.body.elevationGoal);
+    if (elevationGoal === undefined) {
+      return res.status(400).json({ error: "Invalid elevationGoal" });
+    }
+
+    const shapeParams = parseShape(req.body.shape, req.body.petals);
+    if (!shapeParams) {
+      return res.status(400).json({
+        error: "Invalid shape",
+        details: `shape must be one of ${SHAPES.join(", ")}; petals ${MIN_PETALS}-${MAX_PETALS} for a cloverleaf`,
+      });
+    }
+    const { shape, petals } = shapeParams;
+
+    const parsedWeights = parseScoreWeights(req.body.weights, preferLowOverlap === true);
+    if (!parsedWeights) {
+      return res.status(400).json({
+        error: "Invalid weights",
+        details: `Expected non-negative numbers for ${Object.keys(DEFAULT_SCORE_WEIGHTS).join(", ")}`,
+      });
+    }
+    const weights = weightsForShape(parsedWeights, shape);
+
+    const wayPreferences = parseWayPreferences(req.body.wayPreferences);
+    if (!wayPreferences) {
+      return res.status(400).json({
+        error: "Invalid wayPreferences",
+        details: `Expected any of ${WAY_PREFERENCES.join(", ")} (not both paved and unpaved)`,
+      });
+    }
+
+    // how many distinct loops to return (random round trips only)
+    const alternatives = Math.max(1, Math.min(MAX_ALTERNATIVES, Math.round(Number(req.body.alternatives) || 1)));
+
+    // same variation + same request -> same route (and routing cache hits)
+    const variation = req.body.variation ?? null;
+    if (variation !== null && !(Number.isInteger(variation) && variation >= 0)) {
+      return res.status(400).json({ error: "Invalid variation", details: "Expected a non-negative integer" });
+    }
+
+    const optimizeOrder = req.body.optimizeOrder || null;
+    if (optimizeOrder && !OPTIMIZE_ORDER_MODES.includes(optimizeOrder)) {
+      return res.status(400).json({ error: `Unknown optimizeOrder "${optimizeOrder}"` });
+    }
+
     const startLat = Number(lat);
     const startLng = Number(lng);
-    const targetM = Number(distanceKm) * 1000;
+    const targetM = flatKm * 1000;
+
+    // no-go zones go to every provider call: round trips, directions and fillers
+    const avoidPolygons = await noGoAvoidPolygons(req.body.noGoZones, { startLat, startLng, targetM });
+    const noGoZoneCount = avoidPolygons?.coordinates.length ?? 0;
 
     let wps = normalizeWaypoints(waypoints);
+    if (shape !== "loop" && wps.length > 0) {
+      return res.status(400).json({ error: `shape "${shape}" cannot be combined with waypoints` });
+    }
 
-    // No waypoints -> random round trip
-    if (wps.length === 0) {
-      const result = await generateLoopGeoJson({
+    // start -> destination instead of a closed route
+    const destination = parseDestination(req.body.destination);
+    if (destination === undefined) {
+      return res.status(400).json({ error: "Invalid destination" });
+    }
+    if (destination && (shape !== "loop" || optimizeOrder)) {
+      return res.status(400).json({ error: "A destination cannot be combined with a shape or optimizeOrder" });
+    }
+
+    // Destination without waypoints: the direct route, padded to the distance if it is too short
+    let directGeo = null;
+    let directM = null;
+    if (destination && wps.length === 0) {
+      directGeo = await routing.directions({
+        coordinates: buildDirectionsCoordinates({ startLat, startLng, waypoints: [], destination }),
+        profile: profile.routingProfile,
+        avoidPolygons,
+      });
+      directM = lineDistanceM(getCoords(directGeo));
+      // long enough already -> answered like a waypoint route below
+      if (directM == null || directM < targetM * (1 - DESTINATION_DISTANCE_TOLERANCE)) directGeo = null;
+    }
+
+    // No waypoints -> random round trip (or shape, or padded point-to-point)
+    if (wps.length === 0 && !directGeo) {
+      const loopArgs = {
         lat: startLat,
         lng: startLng,
-        distanceKm,
-        apiKey: process.env.ORS_API_KEY,
+        distanceKm: flatKm,
+        profile,
         avoidSpurs: avoidSpurs !== false,
-      });
+        elevationGoal,
+        alternatives,
+        weights,
+        avoidPolygons,
+        shape: destination ? "point-to-point" : shape,
+        petals,
+        destination,
+        wayPreferences,
+        variation,
+      };
+      let result = await generateLoopGeoJson(loopArgs);
+
+      // Climbing makes the flat distance take longer (or shorter): once the
+      // route's elevation is known, plan again at the distance that fits the time
+      if (result && durationS && pacing.climbRule !== "none" && elevation.available) {
+        const movingS = routeMovingS(result.geojson, profile, pacing);
+        if (Math.abs(movingS - durationS) / durationS > TIME_TARGET_TOLERANCE) {
+          const retry = await generateLoopGeoJson({ ...loopArgs, distanceKm: (flatKm * durationS) / movingS });
+          const retryS = retry && routeMovingS(retry.geojson, profile, pacing);
+          if (retry && Math.abs(retryS - durationS) < Math.abs(movingS - durationS)) result = retry;
+        }
+      }
 
       if (!result) {
         return res.status(502).json({
           error: "Failed to generate route",
           details:
-            "No valid route returned by ORS round-trip (try again / check ORS key/quota).",
+            shape === "loop"
+              ? `No valid route returned by ${routing.name} round-trip (try again / check provider key/quota).`
+              : `No valid ${shape} route returned by ${routing.name} (try again / another start / shorter distance).`,
         });
       }
 
+      const bestElevation = routeElevation(getCoords(result.geojson));
+
       return res.json({
+        profile: profile.id,
+        shape,
+        destination,
+        directM: destination ? directM : undefined,
+        padded: destination ? true : undefined,
+        petals: shape === "cloverleaf" || shape === "figure-eight" ? petals : undefined,
+        turnaround: result.turnaround && { lat: result.turnaround[1], lng: result.turnaround[0] },
         targetM: result.targetM,
         distM: result.distM,
         overlap: result.overlap,
         distError: result.distError,
         attemptsTried: result.attemptsTried,
+        elevation: bestElevation,
+        elevationGoal: elevationGoal && {
+          ...elevationGoal,
+          applied: result.goalError != null,
+          ascentM: result.ascentM,
+          goalError: result.goalError,
+        },
+        weights,
+        wayPreferences,
+        timeTarget: durationS ? timeTargetReport(result.geojson, { durationS, flatKm, profile, pacing }) : undefined,
+        noGoZones: noGoZoneCount,
+        attempts: result.attempts,
+        candidates: result.candidates.map((c, i) => ({
+          rank: i + 1,
+          seed: c.seed,
+          points: c.points,
+          distM: c.distM,
+          distError: c.distError,
+          overlap: c.overlap,
+          spur: c.spur,
+          compactness: c.compactness,
+          ascentM: c.ascentM,
+          goalError: c.goalError,
+          wayPenalty: c.wayPenalty,
+          wayPenalties: c.wayPenalties,
+          score: c.score,
+          scoreBreakdown: c.scoreBreakdown,
+          turnaround: c.turnaround && { lat: c.turnaround[1], lng: c.turnaround[0] },
+          elevation: c === result ? bestElevation : routeElevation(getCoords(c.geojson)),
+          geojson: c.geojson,
+        })),
         geojson: result.geojson,
       });
     }
 
+    // Optimise the visiting order (indices into the request's waypoints)
+    let waypointOrder = null;
+    let geojson = null;
+
+    if (optimizeOrder && wps.length >= 2) {
+      const start = { lat: startLat, lng: startLng };
+      const tours = bestVisitingOrders(start, wps, optimizeOrder === "overlap" ? OVERLAP_ORDER_CANDIDATES : 1);
+
+      if (optimizeOrder === "overlap") {
+        // route the shortest few tours and keep the one that repeats the fewest roads
+        let best = null;
+        for (const { order } of tours) {
+          const g = await routing.directions({
+            coordinates: buildDirectionsCoordinates({ startLat, startLng, waypoints: order.map((i) => wps[i]) }),
+            profile: profile.routingProfile,
+            avoidPolygons,
+          });
+          const coords = getCoords(g);
+          if (coords.length < 2) continue;
+
+          const ov = overlapRatio(coords, profile.overlapGridM);
+          if (!best || ov < best.overlap) best = { order, geojson: g, overlap: ov };
+        }
+        if (best) {
+          waypointOrder = best.order;
+          geojson = best.geojson;
+        }
+      } else {
+        waypointOrder = tours[0].order;
+      }
+
+      if (waypointOrder) wps = waypointOrder.map((i) => wps[i]);
+    }
+
     // 1 waypoint -> auto detour so it's a loop-ish triangle
-    if (wps.length === 1) {
+    if (wps.length === 1 && !destination) {
       const start = { lat: startLat, lng: startLng };
-      const offset = Math.max(250, Math.min(900, targetM * 0.08));
+      const { ratio, minM, maxM } = profile.detourOffset;
+      const offset = Math.max(minM, Math.min(maxM, targetM * ratio));
       const detour = makeDetourWaypoint(start, wps[0], offset);
       wps = [wps[0], detour];
     }
@@ -647,24 +1522,29 @@ app.post("/api/loop", async (req, res) => {
       startLat,
       startLng,
       waypoints: wps,
+      destination,
     });
 
-    let geojson = await orsDirectionsGeoJson({
-      apiKey: process.env.ORS_API_KEY,
-      coordinates,
-      profile: "foot-walking",
-    });
+    if (directGeo) geojson = directGeo;
+    if (!geojson) {
+      geojson = await routing.directions({
+        coordinates,
+        profile: profile.routingProfile,
+        avoidPolygons,
+      });
+    }
 
     let coordsLngLat = getCoords(geojson);
     let distM = lineDistanceM(coordsLngLat);
 
-    // If too short -> add a filler loop away from start (anchor)
-    if (distM != null && distM < targetM) {
+    // If too short -> add a filler loop away from start (anchor); a loop
+    // tacked onto a point-to-point route would end away from the destination
+    if (distM != null && distM < targetM && !destination) {
       const missingM = targetM - distM;
-      const fillerM = Math.max(1600, Math.round(missingM));
+      const fillerM = Math.max(profile.fillerMinM, Math.round(missingM));
 
       const anchor = farthestPointFromStart(coordsLngLat, startLat, startLng);
-      const minAnchorDist = 600;
+      const minAnchorDist = profile.minAnchorDistM;
 
       let anchorLat = startLat;
       let anchorLng = startLng;
@@ -678,11 +1558,13 @@ app.post("/api/loop", async (req, res) => {
       }
 
       const filler = await bestFillerRoundTrip({
-        apiKey: process.env.ORS_API_KEY,
         startLat: anchorLat,
         startLng: anchorLng,
         lengthMeters: fillerM,
+        profile,
         attempts: 14,
+        avoidPolygons,
+        variation,
       });
 
       if (filler) {
@@ -693,15 +1575,23 @@ app.post("/api/loop", async (req, res) => {
     }
 
     // Final metrics
-    const finalOverlap = overlapRatio(coordsLngLat, 20);
+    const finalOverlap = overlapRatio(coordsLngLat, profile.overlapGridM);
     const distError = distM ? Math.abs(distM - targetM) / targetM : null;
 
     return res.json({
+      profile: profile.id,
       targetM,
       distM,
       overlap: finalOverlap,
       distError,
       attemptsTried: 1,
+      elevation: routeElevation(coordsLngLat),
+      waypointOrder,
+      destination,
+      directM: directGeo ? directM : undefined,
+      padded: directGeo ? false : undefined,
+      timeTarget: durationS ? timeTargetReport(geojson, { durationS, flatKm, profile, pacing }) : undefined,
+      noGoZones: noGoZoneCount,
       geojson,
     });
   } catch (err) {
@@ -713,184 +1603,172 @@ app.post("/api/loop", async (req, res) => {
 });
 
 // Reroute around blocked roads by "cut-and-bridge":
-// Keep original route, replace only the blocked section with a detour A->B using avoid_polygons.
-// Reroute around blocked roads by "cut-and-bridge":
-// Keep original route, replace only the blocked section with a detour A->B using avoid_polygons.
+// Keep original route, replace only the blocked sections, each with its own detour A->B using avoid_polygons.
 // Also avoid overlapping the existing (blue) route by adding a thin avoid corridor around it,
 // except near the join points (anchors) so we can leave/rejoin the route.
 app.post("/api/reroute", async (req, res) => {
   try {
-    const { lat, lng, distanceKm, waypoints, routeGeo, blockedSegments, blockedRange } = req.body;
+    const { lat, lng, distanceKm, routeGeo } = req.body;
 
     if (!lat || !lng || !distanceKm || !routeGeo) {
       return res.status(400).json({ error: "Missing lat/lng/distanceKm/routeGeo" });
     }
 
+    const profile = resolveProfile(req.body.profile);
+    if (!profile) {
+      return res.status(400).json({ error: `Unknown profile "${req.body.profile}"` });
+    }
+
     const startLat = Number(lat);
     const startLng = Number(lng);
+    const noGoAvoid = await noGoAvoidPolygons(req.body.noGoZones, { startLat, startLng, targetM: Number(distanceKm) * 1000 });
 
     // 1) Extract base route coordinates (LngLat) from current routeGeo
-    const baseCoords = geojsonToCoordsLngLat(routeGeo); // [[lng,lat], ...]
+    const baseCoords = getCoords(routeGeo); // [[lng,lat], ...]
     if (!baseCoords || baseCoords.length < 4) {
       return res.status(400).json({ error: "routeGeo has no usable coordinates" });
     }
 
-    // 2) Determine blocked range indices (segment indices)
-    // Segment i is between point i and i+1
-    let iStart = null;
-    let iEnd = null;
-
-    if (
-      blockedRange &&
-      Number.isFinite(blockedRange.startIdx) &&
-      Number.isFinite(blockedRange.endIdx)
-    ) {
-      iStart = Math.max(0, Math.min(baseCoords.length - 2, blockedRange.startIdx));
-      iEnd = Math.max(0, Math.min(baseCoords.length - 2, blockedRange.endIdx));
-    } else {
-      // fallback: infer from blockedSegments (best-effort)
-      if (!Array.isArray(blockedSegments) || blockedSegments.length === 0) {
-        return res.status(400).json({ error: "No blockedRange and blockedSegments empty" });
+    // 2) Blocked segment ranges (segment i is between point i and i+1), each
+    // with its anchors; ranges whose anchors overlap are bridged as one
+    const blockedRanges = requestBlockedRanges(req.body, baseCoords);
+    if (blockedRanges.length === 0) {
+      return res.status(400).json({ error: "No blockedRanges, blockedRange or blockedSegments received" });
+    }
+    const ranges = anchorBlockedRanges(blockedRanges, baseCoords.length);
+
+    // 3) RED: avoid polygons around every blocked segment, so no detour uses
+    // another range's blocked roads either
+    const redAvoid = buildAvoidPolygons(
+      blockedRanges.flatMap(({ startIdx, endIdx }) => {
+        const segs = [];
+        for (let i = startIdx; i <= endIdx; i++) {
+          segs.push({
+            a: { lat: baseCoords[i][1], lng: baseCoords[i][0] },
+            b: { lat: baseCoords[i + 1][1], lng: baseCoords[i + 1][0] },
+          });
+        }
+        return segs;
+      }),
+      18
+    );
+
+    // 4) Ask the provider for a detour per range; ranges that cannot be
+    // bridged keep their original section
+    for (const range of ranges) {
+      if (range.bIdx <= range.aIdx + 1) {
+        range.error = "Blocked range too small / invalid for anchoring";
+        continue;
       }
 
-      const nearestIndex = (lat, lng) => {
-        let best = 0;
-        let bestD = Infinity;
-        for (let i = 0; i < baseCoords.length; i++) {
-          const [clng, clat] = baseCoords[i];
-          const d = (clat - lat) * (clat - lat) + (clng - lng) * (clng - lng);
-          if (d < bestD) {
-            bestD = d;
-            best = i;
-          }
-        }
-        return best;
-      };
+      try {
+        const { detourGeo, blueAvoidCount } = await bridgeBlockedRange(range, {
+          baseCoords,
+          redAvoid,
+          noGoAvoid,
+          profile,
+        });
+        range.blueAvoidCount = blueAvoidCount;
 
-      const idxs = blockedSegments.map((s) => nearestIndex(s.a.lat, s.a.lng));
-      iStart = Math.max(0, Math.min(...idxs));
-      iEnd = Math.max(0, Math.max(...idxs));
-      iEnd = Math.min(iEnd, baseCoords.length - 2);
+        const detourCoords = getCoords(detourGeo);
+        if (detourCoords.length < 2) {
+          range.error =
+            "Routing provider returned no detour geometry (blocked too much or corridor too wide). Try smaller block or reduce corridor width.";
+          continue;
+        }
+        range.detourGeo = detourGeo;
+      } catch (err) {
+        // 400/404: no way around; anything else (quota, provider down) fails the request
+        if (err?.status !== 400 && err?.status !== 404) throw err;
+        range.error = err?.details || String(err);
+      }
     }
 
-    if (iStart > iEnd) [iStart, iEnd] = [iEnd, iStart];
-
-    // 3) Choose anchors around the blocked range
-    const bufferPts = 3; // tweak: 2–6 depending on route point density
-    const aIdx = Math.max(0, iStart - bufferPts);
-    const bIdx = Math.min(baseCoords.length - 1, (iEnd + 1) + bufferPts);
-
-    if (bIdx <= aIdx + 1) {
-      return res.status(400).json({ error: "Blocked range too small / invalid for anchoring" });
+    const bridged = ranges.filter((r) => r.detourGeo);
+    const diagnostics = ranges.map((r) => ({
+      startIdx: r.startIdx,
+      endIdx: r.endIdx,
+      blockedRanges: r.blockedRanges,
+      anchors: { aIdx: r.aIdx, bIdx: r.bIdx },
+      bridged: Boolean(r.detourGeo),
+      replacedM: lineDistanceM(baseCoords.slice(r.aIdx, r.bIdx + 1)),
+      detourM: r.detourGeo ? lineDistanceM(getCoords(r.detourGeo)) : null,
+      detourPoints: r.detourGeo ? getCoords(r.detourGeo).length : 0,
+      blueAvoidCount: r.blueAvoidCount ?? 0,
+      error: r.error ?? null,
+    }));
+    const failedRanges = diagnostics.filter((d) => !d.bridged);
+
+    if (bridged.length === 0) {
+      return res.status(502).json({
+        error: "Detour failed",
+        details: failedRanges[0].error,
+        ranges: diagnostics,
+        failedRanges,
+      });
     }
 
-    const A = baseCoords[aIdx]; // [lng,lat]
-    const B = baseCoords[bIdx]; // [lng,lat]
-
-    // 4) RED: avoid polygons from blocked segments (corridor around red part)
-    const avoidPolys = buildAvoidPolygons(blockedSegments, 18);
-    if (!avoidPolys) {
-      return res.status(400).json({ error: "No valid blockedSegments received" });
+    // 5) Splice the detours in, last range first so the earlier anchors stay
+    // valid; the later detours' spans move with each splice
+    let merged = baseCoords;
+    let steps = routeSteps(routeGeo);
+    let extras = routeExtras(routeGeo);
+    let detourSpans = [];
+    for (const range of [...bridged].reverse()) {
+      const prevLength = merged.length;
+      let span;
+      ({ coords: merged, steps, extras, span } = spliceDetour(merged, steps, extras, range));
+      const shift = merged.length - prevLength;
+      detourSpans = [span, ...detourSpans.map(([a, b]) => [a + shift, b + shift])];
     }
 
-    // 5) BLUE: avoid corridor around the existing route so detour doesn't overlap it,
-    // but leave gaps around anchors so we can depart and rejoin the route.
-    const blueAvoidPolys = buildRouteCorridorPolygons(baseCoords, {
-      widthM: 14,        // corridor thickness (meters)
-      skipSegFrom: iStart,
-      skipSegTo: iEnd,
-      skipAroundAIdx: aIdx,
-      skipAroundBIdx: bIdx,
-      skipWindow: 3,     // how many segments around anchors to allow
-    });
-
-    // 6) Merge into one MultiPolygon for ORS
-    const mergedAvoid = {
-      type: "MultiPolygon",
-      coordinates: [
-        ...(avoidPolys.coordinates || []),
-        ...blueAvoidPolys.map((ring) => [ring]),
-      ],
-    };
-
-    const options = { avoid_polygons: mergedAvoid };
-
-    // 7) Ask ORS for detour from A -> B, avoiding both red + blue corridors
-    const detourGeo = await orsDirectionsGeoJson({
-      apiKey: process.env.ORS_API_KEY,
-      coordinates: [A, B],
-      profile: "foot-walking",
-      options,
-    });
-
-    const detFeat = detourGeo?.features?.[0];
-    const detourCoords = detFeat?.geometry?.coordinates || [];
-    if (detourCoords.length < 2) {
-      return res.status(502).json({
-        error: "Detour failed",
-        details:
-          "ORS returned no detour geometry (blocked too much or corridor too wide). Try smaller block or reduce corridor width.",
-      });
+    // 6) Optionally win back the distance the detours added or saved
+    const targetM = Number(distanceKm) * 1000;
+    const originalM = lineDistanceM(baseCoords);
+    const detouredM = lineDistanceM(merged);
+    let compensation = null;
+
+    if (req.body.preserveDistance) {
+      let window;
+      ({ coords: merged, steps, extras, window } = await compensateRerouteDistance({
+        coords: merged,
+        steps,
+        extras,
+        targetM,
+        protectedSpans: detourSpans,
+        avoid: mergeAvoidPolygons(redAvoid, noGoAvoid),
+        profile,
+      }));
+      compensation = window;
     }
 
-    // 8) Splice: prefix + detour + suffix
-    const prefix = baseCoords.slice(0, aIdx + 1);
-    const suffix = baseCoords.slice(bIdx);
-
-    let detourMid = detourCoords;
-
-    // Drop first if it equals A
-    if (
-      detourMid.length >= 2 &&
-      Math.abs(detourMid[0][0] - A[0]) < 1e-10 &&
-      Math.abs(detourMid[0][1] - A[1]) < 1e-10
-    ) {
-      detourMid = detourMid.slice(1);
-    }
-
-    // Drop last if it equals B (suffix already starts at B)
-    const last = detourMid[detourMid.length - 1];
-    if (
-      detourMid.length >= 2 &&
-      Math.abs(last[0] - B[0]) < 1e-10 &&
-      Math.abs(last[1] - B[1]) < 1e-10
-    ) {
-      detourMid = detourMid.slice(0, -1);
-    }
-
-    const merged = prefix.concat(detourMid, suffix);
-
-    // 9) Build GeoJSON response
-    const geojson = {
-      type: "FeatureCollection",
-      features: [
-        {
-          type: "Feature",
-          properties: {
-            summary: { distance: lineDistanceM(merged) },
-          },
-          geometry: {
-            type: "LineString",
-            coordinates: merged,
-          },
-        },
-      ],
-    };
+    // 7) Build GeoJSON response
+    const geojson = makeLineStringGeoJson(merged, steps, extras);
 
     const distM = lineDistanceM(merged);
-    const ov = overlapRatio(merged, 20);
+    const ov = overlapRatio(merged, profile.overlapGridM);
 
     return res.json({
+      profile: profile.id,
       distM,
       overlap: ov,
       attemptsTried: 1,
+      elevation: routeElevation(merged),
       geojson,
+      ranges: diagnostics,
+      failedRanges,
+      distance: {
+        targetM,
+        originalM,
+        detouredM,
+        finalM: distM,
+        deltaBeforeM: detouredM - targetM,
+        deltaAfterM: distM - targetM,
+        preserveDistance: Boolean(req.body.preserveDistance),
+        compensation,
+      },
       debug: {
-        blockedRange: { iStart, iEnd },
-        anchors: { aIdx, bIdx },
-        detourPoints: detourCoords.length,
         mergedPoints: merged.length,
-        blueAvoidCount: blueAvoidPolys.length,
       },
     });
   } catch (err) {
@@ -903,21 +1781,245 @@ app.post("/api/reroute", async (req, res) => {
 
 
 
-// GPX from GeoJSON
+// Import a route file (GPX / TCX / KML / GeoJSON) as routeGeo.
+// The file is the raw request body; ?filename= helps format detection.
+app.post("/api/import", express.raw({ type: () => true, limit: "20mb" }), (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Missing file body" });
+    }
+
+    const profile = resolveProfile(req.query.profile);
+    if (!profile) {
+      return res.status(400).json({ error: `Unknown profile "${req.query.profile}"` });
+    }
+
+    const { format, name, coords } = importRoute(req.body, String(req.query.filename || ""));
+    const distM = lineDistanceM(coords);
+
+    const geojson = makeLineStringGeoJson(coords);
+    geojson.features[0].properties = { name, summary: { distance: distM } };
+
+    const [startLng, startLat] = coords[0];
+
+    return res.json({
+      format,
+      name,
+      profile: profile.id,
+      start: { lat: startLat, lng: startLng },
+      distM,
+      overlap: overlapRatio(coords, profile.overlapGridM),
+      elevation: routeElevation(coords),
+      geojson,
+    });
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      error: err?.status ? err.message : "Server error",
+      details: err?.details || String(err),
+    });
+  }
+});
+
+// Estimated moving time and per-km splits of a route at a pacing ({ pace?, climbRule? })
+app.post("/api/timing", (req, res) => {
+  try {
+    const { geojson } = req.body;
+    if (!geojson) return res.status(400).json({ error: "Missing geojson" });
+
+    const profile = resolveProfile(req.body.profile);
+    if (!profile) {
+      return res.status(400).json({ error: `Unknown profile "${req.body.profile}"` });
+    }
+    const pacing = parsePacing(req.body.pacing, profile);
+    if (!pacing) return res.status(400).json({ error: "Invalid pacing" });
+
+    res.json(routeTiming(buildExportRoute(geojson, { profile, pacing }), pacing));
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      error: err?.status ? err.message : "Server error",
+      details: err?.details || String(err),
+    });
+  }
+});
+
+// Where a route has spurs, overlap, self-crossings, coordinate jumps and
+// U-turns (routeAnalysis.js), by coordinate index so the client can mark them
+app.post("/api/analyze", (req, res) => {
+  try {
+    const coords = req.body.geojson?.features?.[0]?.geometry?.coordinates;
+    if (!Array.isArray(coords) || coords.length < 2) {
+      return res.status(400).json({ error: "Missing geojson" });
+    }
+
+    const profile = resolveProfile(req.body.profile);
+    if (!profile) {
+      return res.status(400).json({ error: `Unknown profile "${req.body.profile}"` });
+    }
+
+    const issues = analyzeRoute(coords, profile);
+    const counts = {};
+    for (const issue of issues) counts[issue.type] = (counts[issue.type] || 0) + 1;
+
+    res.json({
+      profile: profile.id,
+      overlap: overlapRatio(coords, profile.overlapGridM),
+      counts,
+      issues,
+    });
+  } catch (err) {
+    res.status(err?.status || 500).json({ error: "Server error", details: err?.details || String(err) });
+  }
+});
+
+// Export route as GPX / TCX / KML / GeoJSON.
+// body.format wins; otherwise the Accept header picks the format (GPX by default).
+// With body.pacing, point times follow it and the description gets the
+// estimated time and splits.
+app.post("/api/export", (req, res) => {
+  try {
+    const { geojson, name, description } = req.body;
+    if (!geojson) return res.status(400).json({ error: "Missing geojson" });
+
+    const profile = resolveProfile(req.body.profile);
+    if (!profile) {
+      return res.status(400).json({ error: `Unknown profile "${req.body.profile}"` });
+    }
+    const pacing = parsePacing(req.body.pacing, profile);
+    if (!pacing) return res.status(400).json({ error: "Invalid pacing" });
+
+    let format = req.body.format ? String(req.body.format).toLowerCase() : null;
+    if (!format) {
+      const types = Object.values(EXPORT_FORMATS).map((f) => f.contentType);
+      const accepted = req.accepts(types);
+      format = Object.keys(EXPORT_FORMATS).find((k) => EXPORT_FORMATS[k].contentType === accepted);
+    }
+    if (!format || !EXPORT_FORMATS[format]) {
+      return res.status(406).json({
+        error: "Unsupported export format",
+        details: `Expected one of ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      });
+    }
+
+    const route = buildExportRoute(geojson, { name, description, profile, pacing });
+    if (req.body.pacing) {
+      const summary = timingSummary(routeTiming(route, pacing), pacing);
+      route.description = route.description ? `${route.description}\n\n${summary}` : summary;
+    }
+    const { body, contentType, extension } = exportRoute(format, route);
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${exportFileName(route.name, extension)}"`);
+    res.send(body);
+  } catch (err) {
+    res.status(err?.status || 500).json({
+      error: err?.status ? err.message : "Export failed",
+      details: err?.details || String(err),
+    });
+  }
+});
+
+// GPX from GeoJSON (kept for older clients; same as /api/export with format=gpx)
 app.post("/api/gpx/from-geojson", (req, res) => {
   try {
     const { geojson, name } = req.body;
     if (!geojson) return res.status(400).json({ error: "Missing geojson" });
 
-    const gpx = geojsonToGpx(geojson, name || "Loop route");
+    const route = buildExportRoute(geojson, { name, profile: resolveProfile() });
+    const { body } = exportRoute("gpx", route);
     res.setHeader("Content-Type", "application/gpx+xml");
     res.setHeader("Content-Disposition", `attachment; filename="loop.gpx"`);
-    res.send(gpx);
+    res.send(body);
   } catch (err) {
     res.status(500).json({ error: "GPX generation failed", details: String(err) });
   }
 });
 
+// -------------------- Saved routes --------------------
+
+function sendStoreError(res, err) {
+  res.status(err?.status || 500).json({
+    error: err?.status ? err.message : "Server error",
+    details: err?.details || String(err),
+  });
+}
+
+// List (no geometry); ?q= searches name/description/tags, ?tag= filters
+app.get("/api/routes", async (req, res) => {
+  try {
+    res.json({ routes: await routeStore.list({ q: req.query.q, tag: req.query.tag }) });
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.get("/api/routes/:id", async (req, res) => {
+  try {
+    res.json(await routeStore.get(req.params.id));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.post("/api/routes", async (req, res) => {
+  try {
+    res.status(201).json(await routeStore.create(req.body));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.put("/api/routes/:id", async (req, res) => {
+  try {
+    res.json(await routeStore.update(req.params.id, req.body));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.delete("/api/routes/:id", async (req, res) => {
+  try {
+    await routeStore.remove(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+// -------------------- No-go zones --------------------
+
+app.get("/api/zones", async (req, res) => {
+  try {
+    res.json({ zones: await zoneStore.list() });
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.post("/api/zones", async (req, res) => {
+  try {
+    res.status(201).json(await zoneStore.create(req.body));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.put("/api/zones/:id", async (req, res) => {
+  try {
+    res.json(await zoneStore.update(req.params.id, req.body));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.delete("/api/zones/:id", async (req, res) => {
+  try {
+    await zoneStore.remove(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
 // -------------------- Start server --------------------
 
 const port = process.env.PORT || 5050;
@@ -0,0 +1,105 @@
+// server/noGoZones.js
+// No-go zones: areas a route must never enter (a construction site, a
+// dangerous crossing, a private estate). A zone is either
+//   { kind: "polygon", points: [{ lat, lng }, ...] }   (3+ corners, open ring)
+//   { kind: "circle", center: { lat, lng }, radiusM }
+// and reaches the routing provider as part of its avoidPolygons MultiPolygon.
+
+import { haversineM, metersToDegLat, metersToDegLon } from "./geo.js";
+
+export const ZONE_MIN_RADIUS_M = 5;
+export const ZONE_MAX_RADIUS_M = 5000;
+export const ZONE_MAX_POINTS = 200;
+
+const CIRCLE_SIDES = 32;
+
+function invalid(details) {
+  const err = new Error("Invalid no-go zone");
+  err.status = 400;
+  err.details = details;
+  return err;
+}
+
+function cleanPoint(p) {
+  const lat = Number(p?.lat);
+  const lng = Number(p?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Validate a zone's shape -> { kind, points } or { kind, center, radiusM }.
+ * Throws a 400 error for anything else.
+ */
+export function cleanZoneShape(zone) {
+  if (zone?.kind === "polygon") {
+    if (!Array.isArray(zone.points)) throw invalid("polygon needs points");
+    const points = zone.points.map(cleanPoint);
+    if (points.some((p) => !p)) throw invalid("polygon points need lat/lng");
+    if (points.length < 3 || points.length > ZONE_MAX_POINTS) {
+      throw invalid(`polygon needs 3 to ${ZONE_MAX_POINTS} points`);
+    }
+    return { kind: "polygon", points };
+  }
+
+  if (zone?.kind === "circle") {
+    const center = cleanPoint(zone.center);
+    if (!center) throw invalid("circle needs a center with lat/lng");
+    const radiusM = Number(zone.radiusM);
+    if (!Number.isFinite(radiusM) || radiusM < ZONE_MIN_RADIUS_M || radiusM > ZONE_MAX_RADIUS_M) {
+      throw invalid(`circle radiusM must be ${ZONE_MIN_RADIUS_M}-${ZONE_MAX_RADIUS_M}`);
+    }
+    return { kind: "circle", center, radiusM };
+  }
+
+  throw invalid('kind must be "polygon" or "circle"');
+}
+
+// Closed [lng,lat] ring of the zone's outline (circles as a 32-gon around the circle)
+function zoneRing(zone) {
+  if (zone.kind === "polygon") {
+    const ring = zone.points.map((p) => [p.lng, p.lat]);
+    return [...ring, ring[0]];
+  }
+
+  // circumscribed, so the polygon never lets a road through the circle's edge
+  const r = zone.radiusM / Math.cos(Math.PI / CIRCLE_SIDES);
+  const ring = [];
+  for (let i = 0; i <= CIRCLE_SIDES; i++) {
+    const a = (2 * Math.PI * (i % CIRCLE_SIDES)) / CIRCLE_SIDES;
+    ring.push([
+      zone.center.lng + metersToDegLon(r * Math.cos(a), zone.center.lat),
+      zone.center.lat + metersToDegLat(r * Math.sin(a)),
+    ]);
+  }
+  return ring;
+}
+
+// Straight-line distance from `from` to the circle's edge / the polygon's
+// bounding box (0 inside)
+function zoneDistanceM(zone, from) {
+  if (zone.kind === "circle") {
+    return Math.max(0, haversineM(from.lat, from.lng, zone.center.lat, zone.center.lng) - zone.radiusM);
+  }
+
+  const lats = zone.points.map((p) => p.lat);
+  const lngs = zone.points.map((p) => p.lng);
+  const lat = Math.max(Math.min(...lats), Math.min(Math.max(...lats), from.lat));
+  const lng = Math.max(Math.min(...lngs), Math.min(Math.max(...lngs), from.lng));
+  return haversineM(from.lat, from.lng, lat, lng);
+}
+
+/**
+ * Zones within `withinM` of `from` as a GeoJSON MultiPolygon, or null when
+ * there are none. Far-away zones are left out: they cannot affect the route
+ * and providers cap the size of avoid areas.
+ */
+export function zonesToAvoidPolygons(zones, { from, withinM = Infinity } = {}) {
+  const near = (zones || []).filter((z) => !from || zoneDistanceM(z, from) <= withinM);
+  if (near.length === 0) return null;
+
+  return {
+    type: "MultiPolygon",
+    coordinates: near.map((z) => [zoneRing(z)]),
+  };
+}
@@ -0,0 +1,143 @@
+// server/pacing.js
+// Time on a route: a flat pace (the profile's nominal speed unless the request
+// gives one), optionally slowed down by climbing:
+//   naismith  every metre climbed costs as much as NAISMITH_M horizontal metres
+//   tobler    Tobler's hiking function, relative to its flat speed, per stretch
+// and what a duration target comes to as a distance.
+
+export const CLIMB_RULES = ["none", "naismith", "tobler"];
+
+// Scarf's equivalence for Naismith's rule: 1 m of ascent ~ 7.92 m on the flat
+const NAISMITH_M = 7.92;
+
+// Tobler never drops below this share of the flat speed (steep steps, noise)
+const TOBLER_MIN_FACTOR = 0.15;
+
+// Duration targets: 1 minute to 24 hours
+const MIN_TARGET_MIN = 1;
+const MAX_TARGET_MIN = 24 * 60;
+
+/**
+ * Pace from "m:ss" (per km) or a number of seconds per km -> seconds per km,
+ * or undefined when it is not a usable pace.
+ */
+export function parsePace(pace) {
+  let s;
+  if (typeof pace === "number") s = pace;
+  else {
+    const m = /^\s*(\d{1,3}):([0-5]\d)\s*(?:\/\s*km)?\s*$/.exec(String(pace));
+    if (!m) return undefined;
+    s = Number(m[1]) * 60 + Number(m[2]);
+  }
+  return Number.isFinite(s) && s > 0 ? s : undefined;
+}
+
+/**
+ * Request pacing ({ pace?, climbRule? }) for a profile ->
+ * { speedKmh, paceSecPerKm, climbRule }, or undefined when invalid.
+ * Without a pace the profile's nominal speed applies; climbing is ignored
+ * unless a rule is given.
+ */
+export function parsePacing(pacing, profile) {
+  const climbRule = pacing?.climbRule ?? "none";
+  if (!CLIMB_RULES.includes(climbRule)) return undefined;
+
+  let paceSecPerKm = 3600 / profile.speedKmh;
+  if (pacing?.pace != null && pacing.pace !== "") {
+    paceSecPerKm = parsePace(pacing.pace);
+    if (paceSecPerKm === undefined) return undefined;
+  }
+
+  return { speedKmh: 3600 / paceSecPerKm, paceSecPerKm, climbRule };
+}
+
+/**
+ * Request duration target ({ minutes }) -> seconds, null when absent,
+ * undefined when invalid.
+ */
+export function parseTimeTarget(timeTarget) {
+  if (timeTarget == null) return null;
+  const minutes = Number(timeTarget.minutes);
+  if (!Number.isFinite(minutes) || minutes < MIN_TARGET_MIN || minutes > MAX_TARGET_MIN) return undefined;
+  return minutes * 60;
+}
+
+// Distance (km) covered in durationS on the flat
+export function targetDistanceKm(durationS, pacing) {
+  return durationS / pacing.paceSecPerKm;
+}
+
+// Tobler's speed at grade dz/dd as a share of its speed on the flat
+function toblerFactor(grade) {
+  return Math.max(TOBLER_MIN_FACTOR, Math.exp(-3.5 * (Math.abs(grade + 0.05) - 0.05)));
+}
+
+/**
+ * Seconds from the start at each of points [{ d, ele }] (d in metres from the
+ * start, ele null where unknown; climbing only counts between known heights).
+ */
+export function pointTimes(points, pacing) {
+  const speedMs = pacing.speedKmh / 3.6;
+  const t = new Array(points.length);
+  t[0] = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const dd = points[i].d - points[i - 1].d;
+    const dz = points[i].ele != null && points[i - 1].ele != null ? points[i].ele - points[i - 1].ele : 0;
+
+    let s = dd / speedMs;
+    if (pacing.climbRule === "naismith") s += (NAISMITH_M * Math.max(0, dz)) / speedMs;
+    else if (pacing.climbRule === "tobler" && dd > 0) s /= toblerFactor(dz / dd);
+
+    t[i] = t[i - 1] + s;
+  }
+  return t;
+}
+
+/**
+ * Per-km splits for points [{ d, t }] -> [{ km, d, splitS, t }]: each full
+ * kilometre plus the part-kilometre at the end (km is the distance covered so
+ * far, in km; t interpolated between points).
+ */
+export function kmSplits(points) {
+  if (points.length < 2) return [];
+  const total = points[points.length - 1].d;
+  const splits = [];
+
+  let j = 1;
+  let prevT = 0;
+  for (let mark = 1000; mark - 1000 < total; mark += 1000) {
+    const d = Math.min(mark, total);
+    while (j < points.length - 1 && points[j].d < d) j++;
+
+    const a = points[j - 1];
+    const b = points[j];
+    const t = b.d > a.d ? a.t + ((b.t - a.t) * (d - a.d)) / (b.d - a.d) : b.t;
+
+    splits.push({ km: d / 1000, d, splitS: t - prevT, t });
+    prevT = t;
+  }
+  return splits;
+}
+
+// Seconds -> "h:mm:ss" or "m:ss"
+export function formatDuration(s) {
+  const total = Math.round(s);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+// Timing as a few lines of text for route file descriptions
+export function timingSummary({ movingS, splits }, pacing) {
+  const rule = pacing.climbRule === "none" ? "" : `, ${pacing.climbRule} climbing`;
+  const lines = [`Estimated time ${formatDuration(movingS)} at ${formatDuration(pacing.paceSecPerKm)}/km${rule}`];
+  if (splits.length > 1) {
+    lines.push(
+      "Splits: " +
+        splits.map((s) => `${Number.isInteger(s.km) ? s.km : s.km.toFixed(2)} km ${formatDuration(s.splitS)}`).join(", ")
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,69 @@
+// server/profiles.js
+// Activity profiles. Each maps onto a routing profile (ORS names, translated by
+// the provider adapters) plus the loop heuristics that depend on scale: what
+// counts as a spur, how coarse the overlap grid is, how far detours reach.
+
+export const PROFILES = {
+  running: {
+    label: "Running",
+    routingProfile: "foot-walking",
+    speedKmh: 10, // nominal pace for course files
+    spurMaxDetourM: 160, // out-and-back shorter than this is a spur
+    overlapGridM: 20, // grid cell used by overlapRatio
+    detourOffset: { ratio: 0.08, minM: 250, maxM: 900 }, // single-waypoint triangle
+    fillerMinM: 1600, // shortest filler loop worth adding
+    minAnchorDistM: 600, // filler anchor must be at least this far from start
+  },
+  hiking: {
+    label: "Hiking",
+    routingProfile: "foot-hiking",
+    speedKmh: 4.5,
+    spurMaxDetourM: 200,
+    overlapGridM: 20,
+    detourOffset: { ratio: 0.08, minM: 300, maxM: 1500 },
+    fillerMinM: 2000,
+    minAnchorDistM: 800,
+  },
+  "road-cycling": {
+    label: "Road cycling",
+    routingProfile: "cycling-road",
+    speedKmh: 27,
+    spurMaxDetourM: 600,
+    overlapGridM: 40,
+    detourOffset: { ratio: 0.08, minM: 1000, maxM: 6000 },
+    fillerMinM: 8000,
+    minAnchorDistM: 3000,
+  },
+  gravel: {
+    label: "Gravel",
+    routingProfile: "cycling-mountain",
+    speedKmh: 20,
+    spurMaxDetourM: 400,
+    overlapGridM: 30,
+    detourOffset: { ratio: 0.08, minM: 700, maxM: 4000 },
+    fillerMinM: 5000,
+    minAnchorDistM: 2000,
+  },
+  wheelchair: {
+    label: "Wheelchair",
+    routingProfile: "wheelchair",
+    speedKmh: 4,
+    spurMaxDetourM: 100,
+    overlapGridM: 15,
+    detourOffset: { ratio: 0.08, minM: 150, maxM: 600 },
+    fillerMinM: 1000,
+    minAnchorDistM: 400,
+  },
+};
+
+export const DEFAULT_PROFILE = "running";
+
+/**
+ * Profile id from a request body -> { id, ...profile }, or null if unknown.
+ * A missing id falls back to DEFAULT_PROFILE.
+ */
+export function resolveProfile(id) {
+  const key = id ?? DEFAULT_PROFILE;
+  const profile = PROFILES[key];
+  return profile ? { id: key, ...profile } : null;
+}
@@ -0,0 +1,311 @@
+// server/routeAnalysis.js
+// What can make a loop feel wrong, located on its coordinates so the client
+// can point at it (and block exactly that part):
+//   spur       a short out-and-back off the loop
+//   overlap    a stretch that runs where the loop has already been
+//   crossing   the loop crossing (or touching) itself
+//   jump       a straight hop far longer than the route's other segments
+//   u-turn     a turn back the way it came
+// Loop scoring only needs the yes/no and ratio versions (hasShortOutAndBackSpur,
+// overlapRatio); /api/analyze reports every issue with its indices.
+
+import { toRad, haversineM } from "./geo.js";
+import { turnAngleAt } from "./routing/steps.js";
+
+// Jumps: at least this long, and this many times the median segment
+const JUMP_MIN_M = 250;
+const JUMP_MEDIAN_FACTOR = 15;
+
+// Turns sharper than this (degrees) are U-turns, as for STEP.U_TURN
+const U_TURN_DEG = 165;
+
+// Ignore turns between segments shorter than this (GPS-like zigzags)
+const U_TURN_MIN_LEG_M = 5;
+
+// Local metric frame around the route: [lng,lat] -> [x,y] metres
+function metricFrame(coordsLngLat) {
+  const lat0 = coordsLngLat[0][1];
+  const kx = 111320 * Math.cos(toRad(lat0));
+  const ky = 111320;
+  return ([lng, lat]) => [lng * kx, lat * ky];
+}
+
+function segmentLength(coords, i) {
+  return haversineM(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+}
+
+// -------------------- Overlap --------------------
+
+/**
+ * Segments that run through a grid cell the route already used more than a
+ * few segments earlier: [{ idx (segment idx -> idx + 1), repeatsIdx, lengthM }].
+ */
+function overlappingSegments(coordsLngLat, gridMeters) {
+  const seen = new Map();
+  const out = [];
+
+  const avgLat = coordsLngLat.reduce((s, c) => s + c[1], 0) / coordsLngLat.length;
+  const snapLat = gridMeters / 111320;
+  const snapLon = gridMeters / (111320 * Math.cos(toRad(avgLat)));
+
+  for (let i = 1; i < coordsLngLat.length; i++) {
+    const [lng1, lat1] = coordsLngLat[i - 1];
+    const [lng2, lat2] = coordsLngLat[i];
+
+    const midLat = (lat1 + lat2) / 2;
+    const midLng = (lng1 + lng2) / 2;
+    const key = `${Math.round(midLat / snapLat)}:` + `${Math.round(midLng / snapLon)}`;
+
+    const lastIdx = seen.get(key);
+    if (lastIdx !== undefined && i - lastIdx > 12) {
+      out.push({ idx: i - 1, repeatsIdx: lastIdx - 1, lengthM: haversineM(lat1, lng1, lat2, lng2) });
+    } else if (lastIdx === undefined) {
+      seen.set(key, i);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Rough self-overlap estimator (metric)
+ */
+export function overlapRatio(coordsLngLat, gridMeters = 20) {
+  if (!coordsLngLat || coordsLngLat.length < 3) return 1;
+
+  let total = 0;
+  for (let i = 0; i < coordsLngLat.length - 1; i++) total += segmentLength(coordsLngLat, i);
+  const overlapped = overlappingSegments(coordsLngLat, gridMeters).reduce((sum, s) => sum + s.lengthM, 0);
+
+  return total > 0 ? overlapped / total : 1;
+}
+
+// -------------------- Spurs --------------------
+
+/**
+ * Short out-and-backs: [{ fromIdx, toIdx, detourM }] where the route leaves
+ * coords[fromIdx] and is back within a few metres of it at coords[toIdx]
+ * after at most maxDetourM. `first` stops at the first one.
+ */
+function findShortOutAndBackSpurs(coordsLngLat, maxDetourM, { first = false } = {}) {
+  const spurs = [];
+  if (!coordsLngLat || coordsLngLat.length < 40) return spurs;
+
+  const closeM = 12;
+  const minSteps = 18;
+  const maxSteps = 90;
+
+  for (let i = 0; i < coordsLngLat.length - (minSteps + 1); i++) {
+    const [lngA, latA] = coordsLngLat[i];
+    let detour = 0;
+
+    for (let j = i + 1; j < Math.min(coordsLngLat.length, i + maxSteps); j++) {
+      const [lngPrev, latPrev] = coordsLngLat[j - 1];
+      const [lngCur, latCur] = coordsLngLat[j];
+      detour += haversineM(latPrev, lngPrev, latCur, lngCur);
+
+      if (j - i >= minSteps) {
+        const backClose = haversineM(latA, lngA, latCur, lngCur);
+        if (backClose <= closeM && detour <= maxDetourM) {
+          spurs.push({ fromIdx: i, toIdx: j, detourM: detour });
+          if (first) return spurs;
+          i = j - 1; // carry on after this spur
+          break;
+        }
+      }
+
+      if (detour > maxDetourM) break;
+    }
+  }
+
+  return spurs;
+}
+
+/**
+ * Spur detector
+ */
+export function hasShortOutAndBackSpur(coordsLngLat, maxDetourM = 140) {
+  return findShortOutAndBackSpurs(coordsLngLat, maxDetourM, { first: true }).length > 0;
+}
+
+// -------------------- Crossings, jumps, U-turns --------------------
+
+function segmentsCross(p1, p2, p3, p4) {
+  const d = (a, b, c) => (c[0] - a[0]) * (b[1] - a[1]) - (b[0] - a[0]) * (c[1] - a[1]);
+  const d1 = d(p3, p4, p1);
+  const d2 = d(p3, p4, p2);
+  const d3 = d(p1, p2, p3);
+  const d4 = d(p1, p2, p4);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/**
+ * Places where the route crosses itself or comes back to a point it already
+ * passed: [{ idx, otherIdx }] (segment indices; otherIdx the earlier one).
+ * Segments that overlap are reported as overlap instead.
+ */
+function findSelfCrossings(coordsLngLat, skipSegments) {
+  const xy = coordsLngLat.map(metricFrame(coordsLngLat));
+  const cellM = 50;
+  const grid = new Map();
+  const out = [];
+  const visited = new Map(); // rounded point -> first index
+
+  for (let i = 0; i < xy.length - 1; i++) {
+    const [ax, ay] = xy[i];
+    const [bx, by] = xy[i + 1];
+
+    // back at a point passed before (roads meet at shared nodes, so most
+    // real crossings show up here rather than as crossing segments)
+    const pointKey = `${Math.round(ax)}:${Math.round(ay)}`;
+    const firstIdx = visited.get(pointKey);
+    if (firstIdx === undefined) visited.set(pointKey, i);
+    else if (i - firstIdx > 2 && !skipSegments.has(i) && !skipSegments.has(i - 1)) {
+      out.push({ idx: i, otherIdx: firstIdx });
+    }
+
+    const x0 = Math.floor(Math.min(ax, bx) / cellM);
+    const x1 = Math.floor(Math.max(ax, bx) / cellM);
+    const y0 = Math.floor(Math.min(ay, by) / cellM);
+    const y1 = Math.floor(Math.max(ay, by) / cellM);
+
+    const candidates = new Set();
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = `${x}:${y}`;
+        for (const j of grid.get(key) || []) candidates.add(j);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(i);
+      }
+    }
+
+    for (const j of candidates) {
+      if (i - j < 2 || skipSegments.has(i)) continue;
+      if (segmentsCross(xy[j], xy[j + 1], xy[i], xy[i + 1])) out.push({ idx: i, otherIdx: j });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Segments far longer than the route's typical segment:
+ * [{ idx, lengthM }] (segment idx -> idx + 1).
+ */
+function findJumps(coordsLngLat) {
+  const lengths = [];
+  for (let i = 0; i < coordsLngLat.length - 1; i++) lengths.push(segmentLength(coordsLngLat, i));
+  if (lengths.length === 0) return [];
+
+  const sorted = [...lengths].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const limit = Math.max(JUMP_MIN_M, median * JUMP_MEDIAN_FACTOR);
+
+  return lengths.flatMap((lengthM, idx) => (lengthM > limit ? [{ idx, lengthM }] : []));
+}
+
+/**
+ * Vertices where the route turns back on itself: [{ idx, angle }].
+ */
+function findUTurns(coordsLngLat) {
+  const out = [];
+  for (let i = 1; i < coordsLngLat.length - 1; i++) {
+    if (segmentLength(coordsLngLat, i - 1) < U_TURN_MIN_LEG_M || segmentLength(coordsLngLat, i) < U_TURN_MIN_LEG_M) {
+      continue;
+    }
+    const angle = turnAngleAt(coordsLngLat, i);
+    if (Math.abs(angle) > U_TURN_DEG) out.push({ idx: i, angle });
+  }
+  return out;
+}
+
+// -------------------- Report --------------------
+
+// Runs of consecutive segment indices -> [[first, last], ...]
+function segmentRuns(indices) {
+  const runs = [];
+  for (const i of [...indices].sort((a, b) => a - b)) {
+    const last = runs[runs.length - 1];
+    if (last && i === last[1] + 1) last[1] = i;
+    else runs.push([i, i]);
+  }
+  return runs;
+}
+
+function at(coordsLngLat, i) {
+  const [lng, lat] = coordsLngLat[i];
+  return { lat, lng };
+}
+
+/**
+ * Every issue of a route, in route order:
+ *   { type, fromIdx, toIdx, at: { lat, lng }, message, ...details }
+ * fromIdx..toIdx are coordinate indices (equal for point issues), `at` where
+ * to put a marker.
+ */
+export function analyzeRoute(coordsLngLat, { spurMaxDetourM = 140, overlapGridM = 20 } = {}) {
+  if (!coordsLngLat || coordsLngLat.length < 2) return [];
+  const issues = [];
+
+  for (const s of findShortOutAndBackSpurs(coordsLngLat, spurMaxDetourM)) {
+    issues.push({
+      type: "spur",
+      fromIdx: s.fromIdx,
+      toIdx: s.toIdx,
+      at: at(coordsLngLat, Math.round((s.fromIdx + s.toIdx) / 2)),
+      detourM: s.detourM,
+      message: `Out-and-back spur of ${Math.round(s.detourM)} m: the route goes in and comes straight back out`,
+    });
+  }
+
+  const overlapped = overlappingSegments(coordsLngLat, overlapGridM);
+  const repeats = new Map(overlapped.map((s) => [s.idx, s]));
+  for (const [first, last] of segmentRuns(overlapped.map((s) => s.idx))) {
+    let lengthM = 0;
+    for (let i = first; i <= last; i++) lengthM += repeats.get(i).lengthM;
+    issues.push({
+      type: "overlap",
+      fromIdx: first,
+      toIdx: last + 1,
+      at: at(coordsLngLat, Math.round((first + last + 1) / 2)),
+      lengthM,
+      repeatsIdx: repeats.get(first).repeatsIdx,
+      message: `${Math.round(lengthM)} m run twice: this stretch repeats road the route already used`,
+    });
+  }
+
+  for (const c of findSelfCrossings(coordsLngLat, new Set(repeats.keys()))) {
+    issues.push({
+      type: "crossing",
+      fromIdx: c.idx,
+      toIdx: c.idx + 1,
+      otherIdx: c.otherIdx,
+      at: at(coordsLngLat, c.idx),
+      message: "The route crosses its own path here",
+    });
+  }
+
+  for (const j of findJumps(coordsLngLat)) {
+    issues.push({
+      type: "jump",
+      fromIdx: j.idx,
+      toIdx: j.idx + 1,
+      at: at(coordsLngLat, j.idx),
+      lengthM: j.lengthM,
+      message: `Straight ${Math.round(j.lengthM)} m hop between two points: likely a gap in the geometry, not a road`,
+    });
+  }
+
+  for (const u of findUTurns(coordsLngLat)) {
+    issues.push({
+      type: "u-turn",
+      fromIdx: u.idx,
+      toIdx: u.idx,
+      at: at(coordsLngLat, u.idx),
+      angle: u.angle,
+      message: "Sharp U-turn: the route turns back the way it came",
+    });
+  }
+
+  return issues.sort((a, b) => a.fromIdx - b.fromIdx);
+}
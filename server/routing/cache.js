@@ -0,0 +1,88 @@
+// server/routing/cache.js
+// Upstream responses on disk, one JSON file per request under `dir`, named by
+// a hash of the request (method, URL and body; not the headers, which carry
+// API keys). Planning again from the same start point then costs no quota.
+// Entries older than ttlMs count as missing and are deleted: when read, and
+// by a sweep of the whole directory at most once per SWEEP_INTERVAL_MS of
+// writes, so entries nobody asks for again do not pile up. A broken cache
+// never fails a route: read errors are misses and write errors are logged.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const SWEEP_INTERVAL_MS = 3600 * 1000;
+
+export function createResponseCache({ dir, ttlMs = 7 * 24 * 3600 * 1000 }) {
+  const counts = { hits: 0, misses: 0, writes: 0, expired: 0 };
+  let sweptAt = 0;
+
+  function keyOf(method, url, body = null) {
+    return createHash("sha256")
+      .update(JSON.stringify([method, url, body]))
+      .digest("hex");
+  }
+
+  function fileOf(key) {
+    return path.join(dir, `${key}.json`);
+  }
+
+  async function removeExpired(file) {
+    try {
+      await fs.unlink(file);
+      counts.expired++;
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn("Routing cache: delete failed:", e.message);
+    }
+  }
+
+  // -> cached response data, null when missing or expired
+  async function get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(fileOf(key), "utf8"));
+      if (Date.now() - entry.savedAt <= ttlMs) {
+        counts.hits++;
+        return entry.data;
+      }
+      await removeExpired(fileOf(key));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn(`Routing cache: unreadable entry ${key}:`, e.message);
+    }
+    counts.misses++;
+    return null;
+  }
+
+  // Delete every entry past its TTL (entries are written once, so mtime is savedAt)
+  async function sweep() {
+    sweptAt = Date.now();
+    for (const name of await fs.readdir(dir)) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(dir, name);
+      try {
+        if (Date.now() - (await fs.stat(file)).mtimeMs > ttlMs) await removeExpired(file);
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+    }
+  }
+
+  async function set(key, data) {
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileOf(key)}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ savedAt: Date.now(), data }));
+      await fs.rename(tmp, fileOf(key));
+      counts.writes++;
+
+      if (Date.now() - sweptAt > SWEEP_INTERVAL_MS) await sweep();
+    } catch (e) {
+      console.warn("Routing cache: write failed:", e.message);
+    }
+  }
+
+  function usage() {
+    return { ttlHours: ttlMs / 3600000, ...counts };
+  }
+
+  return { keyOf, get, set, usage };
+}
@@ -0,0 +1,132 @@
+// server/routing/extras.js
+// Way details in the ORS "extras" shape (extra_info):
+//   { surface: { values: [[from, to, code], ...], summary }, waytype: ..., steepness: ... }
+// from/to index into the route's coordinates like step way_points; codes are
+// ORS's (SURFACE / WAYTYPE below, steepness -5..5). Adapters without extras
+// simply leave them out. The slice/shift/join helpers keep the ranges lined
+// up when routes are joined or spliced, the same way steps.js does for steps.
+
+import { haversineM } from "../geo.js";
+
+// What ORS is asked for (options.extra_info)
+export const EXTRA_INFO = ["surface", "waytype", "steepness"];
+
+// ORS surface codes
+export const SURFACE = {
+  UNKNOWN: 0,
+  PAVED: 1,
+  UNPAVED: 2,
+  ASPHALT: 3,
+  CONCRETE: 4,
+  COBBLESTONE: 5,
+  METAL: 6,
+  WOOD: 7,
+  COMPACTED_GRAVEL: 8,
+  FINE_GRAVEL: 9,
+  GRAVEL: 10,
+  DIRT: 11,
+  GROUND: 12,
+  ICE: 13,
+  PAVING_STONES: 14,
+  SAND: 15,
+  WOODCHIPS: 16,
+  GRASS: 17,
+  GRASS_PAVER: 18,
+};
+
+// ORS waytype codes
+export const WAYTYPE = {
+  UNKNOWN: 0,
+  STATE_ROAD: 1,
+  ROAD: 2,
+  STREET: 3,
+  PATH: 4,
+  TRACK: 5,
+  CYCLEWAY: 6,
+  FOOTWAY: 7,
+  STEPS: 8,
+  FERRY: 9,
+  CONSTRUCTION: 10,
+};
+
+export const PAVED_SURFACES = new Set([
+  SURFACE.PAVED,
+  SURFACE.ASPHALT,
+  SURFACE.CONCRETE,
+  SURFACE.COBBLESTONE,
+  SURFACE.METAL,
+  SURFACE.WOOD,
+  SURFACE.PAVING_STONES,
+]);
+
+/**
+ * Extras of a route ({} when the provider sent none).
+ */
+export function routeExtras(geojson) {
+  return geojson?.features?.[0]?.properties?.extras || {};
+}
+
+function mapValues(extras, fn) {
+  const out = {};
+  for (const [kind, { values = [] }] of Object.entries(extras)) out[kind] = { values: fn(values) };
+  return out;
+}
+
+export function shiftExtras(extras, by) {
+  return mapValues(extras, (values) => values.map(([a, b, v]) => [a + by, b + by, v]));
+}
+
+/**
+ * Ranges that cover coordinates from..to, clamped to that range.
+ */
+export function sliceExtras(extras, from, to) {
+  return mapValues(extras, (values) =>
+    values.filter(([a, b]) => b > from && a < to).map(([a, b, v]) => [Math.max(from, a), Math.min(to, b), v])
+  );
+}
+
+/**
+ * Extras of two consecutive route parts, already on the merged indices. Only
+ * kinds both parts have survive (a gap would misplace everything after it);
+ * touching ranges with the same value become one.
+ */
+export function joinExtras(first, second) {
+  const out = {};
+  for (const kind of Object.keys(first)) {
+    if (!second[kind]) continue;
+    const values = [];
+    for (const [a, b, v] of [...first[kind].values, ...second[kind].values]) {
+      const prev = values[values.length - 1];
+      if (prev && prev[2] === v && prev[1] === a) prev[1] = b;
+      else values.push([a, b, v]);
+    }
+    out[kind] = { values };
+  }
+  return out;
+}
+
+/**
+ * Extras with ORS-style summaries ({ value, distance, amount (%) }, longest
+ * first) measured on the final coordinates.
+ */
+export function summarizeExtras(extras, coords) {
+  const out = {};
+  for (const [kind, { values }] of Object.entries(extras)) {
+    const byValue = new Map();
+    let total = 0;
+    for (const [a, b, v] of values) {
+      let d = 0;
+      for (let i = a; i < b && i + 1 < coords.length; i++) {
+        d += haversineM(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+      }
+      byValue.set(v, (byValue.get(v) ?? 0) + d);
+      total += d;
+    }
+
+    const summary = [...byValue]
+      .map(([value, distance]) => ({ value, distance, amount: total > 0 ? (distance / total) * 100 : 0 }))
+      .sort((x, y) => y.distance - x.distance);
+    out[kind] = { values, summary };
+  }
+  return out;
+}
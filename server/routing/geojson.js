@@ -0,0 +1,73 @@
+// server/routing/geojson.js
+// Adapters translate their backend's response into the ORS GeoJSON shape the
+// rest of the server already reads: features[0].geometry.coordinates plus
+// properties.summary / properties.segments (and properties.extras, if any).
+
+import { metersToDegLat, metersToDegLon, lineDistanceM } from "../geo.js";
+
+export function routeFeatureCollection(coordsLngLat, { distance, duration, steps = [], extras = null } = {}) {
+  const dist = distance ?? lineDistanceM(coordsLngLat) ?? 0;
+  const dur = duration ?? null;
+
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: {
+          summary: { distance: dist, duration: dur },
+          segments: [{ distance: dist, duration: dur, steps }],
+          ...(extras ? { extras } : {}),
+        },
+        geometry: {
+          type: "LineString",
+          coordinates: coordsLngLat,
+        },
+      },
+    ],
+  };
+}
+
+// Deterministic PRNG so a given seed always yields the same round-trip shape
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * For backends without a native round-trip mode: place `points` via-points on a
+ * circle that passes through the start, sized so the road route comes out
+ * near `lengthMeters` (roads are ~30% longer than the circle).
+ * Returns directions coordinates [[lng,lat], ...] starting and ending at start.
+ */
+export function syntheticRoundTripCoordinates({ startLat, startLng, lengthMeters, points = 6, seed = 1 }) {
+  const rand = mulberry32(seed);
+  const roadFactor = 1.3;
+  const radiusM = lengthMeters / (2 * Math.PI * roadFactor);
+
+  const bearing = rand() * 2 * Math.PI;
+  const centerLat = startLat + metersToDegLat(radiusM * Math.cos(bearing));
+  const centerLng = startLng + metersToDegLon(radiusM * Math.sin(bearing), startLat);
+
+  // angle of the start as seen from the centre
+  const startAngle = bearing + Math.PI;
+  const direction = rand() < 0.5 ? -1 : 1;
+
+  const coords = [[startLng, startLat]];
+  for (let i = 1; i < points; i++) {
+    const jitter = (rand() - 0.5) * (Math.PI / points) * 0.5;
+    const angle = startAngle + direction * ((2 * Math.PI * i) / points + jitter);
+    const lat = centerLat + metersToDegLat(radiusM * Math.cos(angle));
+    const lng = centerLng + metersToDegLon(radiusM * Math.sin(angle), centerLat);
+    coords.push([lng, lat]);
+  }
+  coords.push([startLng, startLat]);
+
+  return coords;
+}
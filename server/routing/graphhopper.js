@@ -0,0 +1,125 @@
+// server/routing/graphhopper.js
+// GraphHopper adapter (hosted API or self-hosted server). Round trips use GH's
+// own round_trip algorithm; avoid areas go through a custom model.
+
+import { createHttpClient } from "./http.js";
+import { routeFeatureCollection } from "./geojson.js";
+import { STEP, makeStep } from "./steps.js";
+
+const PROFILES = {
+  "foot-walking": "foot",
+  "foot-hiking": "hike",
+  wheelchair: "wheelchair",
+  "cycling-regular": "bike",
+  "cycling-road": "racingbike",
+  "cycling-mountain": "mtb",
+};
+
+// GraphHopper instruction sign -> ORS step type
+const SIGNS = {
+  [-98]: STEP.U_TURN,
+  [-8]: STEP.U_TURN,
+  [-7]: STEP.KEEP_LEFT,
+  [-3]: STEP.SHARP_LEFT,
+  [-2]: STEP.LEFT,
+  [-1]: STEP.SLIGHT_LEFT,
+  0: STEP.STRAIGHT,
+  1: STEP.SLIGHT_RIGHT,
+  2: STEP.RIGHT,
+  3: STEP.SHARP_RIGHT,
+  4: STEP.GOAL,
+  6: STEP.ENTER_ROUNDABOUT,
+  7: STEP.KEEP_RIGHT,
+  8: STEP.U_TURN,
+};
+
+function pathSteps(instructions = []) {
+  return instructions
+    .filter((ins) => ins.sign !== 5) // via point reached
+    .map((ins, i) => {
+      const type = i === 0 ? STEP.DEPART : SIGNS[ins.sign] ?? STEP.STRAIGHT;
+      const step = makeStep(type, ins.street_name, ins.interval[0], ins.interval[1], {
+        distance: ins.distance,
+        duration: ins.time / 1000,
+      });
+      if (ins.text && i > 0) step.instruction = ins.text;
+      return step;
+    });
+}
+
+// MultiPolygon -> custom_model that forbids every polygon
+function avoidCustomModel(avoidPolygons) {
+  const features = avoidPolygons.coordinates.map((rings, i) => ({
+    type: "Feature",
+    id: `avoid${i}`,
+    properties: {},
+    geometry: { type: "Polygon", coordinates: rings },
+  }));
+
+  return {
+    areas: { type: "FeatureCollection", features },
+    priority: [
+      {
+        if: features.map((f) => `in_${f.id}`).join(" || "),
+        multiply_by: "0",
+      },
+    ],
+  };
+}
+
+export function createGraphHopperProvider({ apiKey, baseUrl = "https://graphhopper.com/api/1", http = createHttpClient() }) {
+  const url = apiKey ? `${baseUrl}/route?key=${encodeURIComponent(apiKey)}` : `${baseUrl}/route`;
+
+  async function request(body) {
+    const data = await http.postJson(url, body, { label: "GraphHopper request" });
+    const path = data?.paths?.[0];
+
+    return routeFeatureCollection(path?.points?.coordinates || [], {
+      distance: path?.distance,
+      duration: path?.time != null ? path.time / 1000 : null,
+      steps: pathSteps(path?.instructions),
+    });
+  }
+
+  function baseBody({ points, profile, avoidPolygons }) {
+    const body = {
+      points,
+      profile: PROFILES[profile] || "foot",
+      points_encoded: false,
+      instructions: true,
+    };
+    if (avoidPolygons) {
+      body.custom_model = avoidCustomModel(avoidPolygons);
+      body["ch.disable"] = true;
+    }
+    return body;
+  }
+
+  async function directions({ coordinates, profile = "foot-walking", avoidPolygons = null }) {
+    return request(baseBody({ points: coordinates, profile, avoidPolygons }));
+  }
+
+  async function roundTrip({
+    startLat,
+    startLng,
+    lengthMeters,
+    profile = "foot-walking",
+    seed = 1,
+    avoidPolygons = null,
+  }) {
+    return request({
+      ...baseBody({ points: [[startLng, startLat]], profile, avoidPolygons }),
+      algorithm: "round_trip",
+      "round_trip.distance": Math.round(lengthMeters),
+      "round_trip.seed": seed,
+      "ch.disable": true,
+    });
+  }
+
+  return {
+    name: "graphhopper",
+    supportsAvoidPolygons: true,
+    directions,
+    roundTrip,
+  };
+}
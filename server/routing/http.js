@@ -0,0 +1,169 @@
+// server/routing/http.js
+// Fetch client used by every routing adapter. Errors carry `status` and
+// `details` so the Express handlers can forward them unchanged.
+//
+// A client can put a response cache (cache.js) and a rate limiter
+// (limiter.js) in front of upstream, and retries 429 / 5xx answers and network
+// errors with exponential backoff, waiting as long as Retry-After asks when
+// that is not too long. A client without options is a plain fetch wrapper.
+
+// Worth another try: rate limited, or a gateway / server that may be back
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function readJsonOrThrow(resp, label) {
+  if (resp.status === 429) {
+    const text = await resp.text();
+    const err = new Error("Rate limit exceeded");
+    err.status = 429;
+    err.details = text;
+    throw err;
+  }
+
+  if (!resp.ok) {
+    const text = await resp.text();
+    const err = new Error(`${label} failed`);
+    err.status = resp.status;
+    err.details = text;
+    throw err;
+  }
+
+  return await resp.json();
+}
+
+// Retry-After (seconds or an HTTP date) -> ms, null when absent or unreadable
+function retryAfterMs(resp) {
+  const value = resp.headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// What upstream says is left of the plan (ORS and GraphHopper send these)
+function quotaHeaders(resp) {
+  const limit = resp.headers.get("x-ratelimit-limit");
+  const remaining = resp.headers.get("x-ratelimit-remaining");
+  if (limit == null && remaining == null) return null;
+  return {
+    limit: limit != null ? Number(limit) : null,
+    remaining: remaining != null ? Number(remaining) : null,
+    reset: resp.headers.get("x-ratelimit-reset"),
+    seenAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * { postJson, getJson, usage } over fetch. `retries` extra attempts, the
+ * n-th after backoffMs * 2^n (plus jitter) or Retry-After; a Retry-After
+ * longer than maxWaitMs is not waited for, and the limiter refuses calls
+ * until it has passed.
+ */
+export function createHttpClient({ cache = null, limiter = null, retries = 0, backoffMs = 500, maxWaitMs = 30000 } = {}) {
+  const counts = { requests: 0, retries: 0, failures: 0, rateLimited: 0 };
+  let upstreamQuota = null;
+
+  function backoff(attempt) {
+    return Math.min(maxWaitMs, backoffMs * 2 ** attempt * (1 + Math.random() / 2));
+  }
+
+  async function send(url, init, label) {
+    for (let attempt = 0; ; attempt++) {
+      await limiter?.take();
+      counts.requests++;
+
+      let resp;
+      try {
+        resp = await fetch(url, init);
+      } catch (e) {
+        if (attempt < retries) {
+          counts.retries++;
+          await sleep(backoff(attempt));
+          continue;
+        }
+        counts.failures++;
+        const err = new Error(`${label} failed`);
+        err.status = 502;
+        err.details = String(e?.cause || e);
+        throw err;
+      }
+
+      upstreamQuota = quotaHeaders(resp) || upstreamQuota;
+      if (resp.status === 429) counts.rateLimited++;
+
+      if (RETRY_STATUSES.has(resp.status)) {
+        const asked = retryAfterMs(resp);
+        if (asked != null && resp.status === 429) {
+          if (asked <= maxWaitMs) limiter?.pause(asked);
+          else limiter?.block(asked);
+        }
+
+        if (attempt < retries && (asked == null || asked <= maxWaitMs)) {
+          await resp.text(); // free the connection
+          counts.retries++;
+          await sleep(asked ?? backoff(attempt));
+          continue;
+        }
+      }
+
+      try {
+        return await readJsonOrThrow(resp, label);
+      } catch (err) {
+        counts.failures++;
+        throw err;
+      }
+    }
+  }
+
+  async function cached(key, request) {
+    if (!cache) return request();
+    const hit = await cache.get(key);
+    if (hit != null) return hit;
+
+    const data = await request();
+    await cache.set(key, data);
+    return data;
+  }
+
+  async function postJson(url, body, { headers = {}, label = "Routing request" } = {}) {
+    return cached(cache?.keyOf("POST", url, body), () =>
+      send(
+        url,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...headers,
+          },
+          body: JSON.stringify(body),
+        },
+        label
+      )
+    );
+  }
+
+  async function getJson(url, { headers = {}, label = "Routing request" } = {}) {
+    return cached(cache?.keyOf("GET", url), () => send(url, { headers }, label));
+  }
+
+  // Counts since start, plus what the cache, limiter and upstream report
+  function usage() {
+    return {
+      ...counts,
+      cache: cache?.usage() ?? null,
+      limiter: limiter?.usage() ?? null,
+      upstream: upstreamQuota,
+    };
+  }
+
+  return { postJson, getJson, usage };
+}
+
+export function unsupported(message) {
+  const err = new Error(message);
+  err.status = 501;
+  err.details = message;
+  return err;
+}
@@ -0,0 +1,99 @@
+// server/routing/index.js
+// Routing-provider layer. Every backend implements the same interface and
+// returns ORS-shaped GeoJSON, so /api/loop and /api/reroute don't care which
+// one is configured:
+//
+//   provider.name                   -> "ors" | "osrm" | "graphhopper" | "valhalla" | "offline"
+//   provider.supportsAvoidPolygons  -> false if avoidPolygons will be rejected
+//   provider.directions({ coordinates, profile, avoidPolygons })
+//   provider.roundTrip({ startLat, startLng, lengthMeters, profile, points, seed, avoidPolygons })
+//   provider.usage()                -> request / cache / quota counts, null for the offline router
+//
+// `coordinates` are [[lng,lat], ...], `profile` uses the ORS profile names
+// ("foot-walking", "cycling-road", ...) and `avoidPolygons` is a GeoJSON MultiPolygon.
+//
+// The HTTP backends go through a client (http.js) with a disk cache, retries
+// and, for ORS or when configured, a rate limiter.
+
+import { fileURLToPath } from "node:url";
+import { createHttpClient } from "./http.js";
+import { createResponseCache } from "./cache.js";
+import { createTokenBucket } from "./limiter.js";
+import { createOrsProvider } from "./ors.js";
+import { createOsrmProvider } from "./osrm.js";
+import { createGraphHopperProvider } from "./graphhopper.js";
+import { createValhallaProvider } from "./valhalla.js";
+import { createOfflineProvider } from "./offline/index.js";
+
+// ORS standard (free) plan, directions endpoint
+const ORS_PER_MINUTE = 40;
+const ORS_PER_DAY = 2000;
+
+function envNumber(value, fallback) {
+  const n = Number(value);
+  return value != null && value !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * HTTP client for the provider from env:
+ *   ROUTING_CACHE_DIR        response cache (default server/data/routing-cache)
+ *   ROUTING_CACHE_TTL_HOURS  how long a response stays valid (default 168; 0 = no cache)
+ *   ROUTING_RETRIES          extra attempts on 429 / 5xx / network errors (default 3)
+ *   ROUTING_RATE_PER_MINUTE  token bucket size (ORS: 40, others: no limit)
+ *   ROUTING_DAILY_LIMIT      requests per UTC day (ORS: 2000, others: no limit)
+ */
+function createProviderHttp(name, env) {
+  const ttlHours = envNumber(env.ROUTING_CACHE_TTL_HOURS, 168);
+  const cache =
+    ttlHours > 0
+      ? createResponseCache({
+          dir: env.ROUTING_CACHE_DIR || fileURLToPath(new URL("../data/routing-cache", import.meta.url)),
+          ttlMs: ttlHours * 3600 * 1000,
+        })
+      : null;
+
+  const isOrs = name === "ors" || name === "openrouteservice";
+  const perMinute = envNumber(env.ROUTING_RATE_PER_MINUTE, isOrs ? ORS_PER_MINUTE : 0);
+  const perDay = envNumber(env.ROUTING_DAILY_LIMIT, isOrs ? ORS_PER_DAY : 0);
+  const limiter = perMinute > 0 ? createTokenBucket({ perMinute, perDay: perDay > 0 ? perDay : null }) : null;
+
+  return createHttpClient({ cache, limiter, retries: envNumber(env.ROUTING_RETRIES, 3) });
+}
+
+/**
+ * Pick the backend from env (ROUTING_PROVIDER). Without it, ORS is used when
+ * there is an ORS_API_KEY, otherwise the offline router if OSM_EXTRACT_PATH is set.
+ */
+export function createRoutingProvider(env = process.env) {
+  const fallback = !env.ORS_API_KEY && env.OSM_EXTRACT_PATH ? "offline" : "ors";
+  const name = (env.ROUTING_PROVIDER || fallback).trim().toLowerCase();
+  const http = name === "offline" ? null : createProviderHttp(name, env);
+
+  return { ...createProvider(name, env, http), usage: () => http?.usage() ?? null };
+}
+
+function createProvider(name, env, http) {
+  switch (name) {
+    case "ors":
+    case "openrouteservice":
+      return createOrsProvider({
+        apiKey: env.ORS_API_KEY,
+        baseUrl: env.ORS_BASE_URL || undefined,
+        http,
+      });
+    case "osrm":
+      return createOsrmProvider({ baseUrl: env.OSRM_BASE_URL || undefined, http });
+    case "graphhopper":
+      return createGraphHopperProvider({
+        apiKey: env.GRAPHHOPPER_API_KEY,
+        baseUrl: env.GRAPHHOPPER_BASE_URL || undefined,
+        http,
+      });
+    case "valhalla":
+      return createValhallaProvider({ baseUrl: env.VALHALLA_BASE_URL || undefined, http });
+    case "offline":
+      return createOfflineProvider({ extractPath: env.OSM_EXTRACT_PATH });
+    default:
+      throw new Error(`Unknown ROUTING_PROVIDER "${name}" (expected ors, osrm, graphhopper, valhalla or offline)`);
+  }
+}
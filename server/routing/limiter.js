@@ -0,0 +1,91 @@
+// server/routing/limiter.js
+// Token bucket in front of a metered routing API: `perMinute` requests a
+// minute, in bursts of up to as many, and at most `perDay` per (UTC) day.
+// Callers wait their turn for a token; past the daily cap, or while upstream
+// has asked for a long break, they get a 429 right away instead of spending a
+// call upstream would refuse anyway (or hanging until it ends). The day count
+// lives in memory, so it starts from zero after a restart; the quota upstream
+// reports in its headers (see http.js) is the authoritative one.
+
+function quotaExceeded(perDay) {
+  const err = new Error("Rate limit exceeded");
+  err.status = 429;
+  err.details = `Daily routing quota of ${perDay} requests used up; it resets at midnight UTC`;
+  return err;
+}
+
+function blocked(until) {
+  const err = new Error("Rate limit exceeded");
+  err.status = 429;
+  err.details = `The routing service asked to wait until ${new Date(until).toISOString()}`;
+  return err;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createTokenBucket({ perMinute, perDay = null }) {
+  const refillPerMs = perMinute / 60000;
+  let tokens = perMinute;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let blockedUntil = 0;
+  let day = { date: null, used: 0 };
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(perMinute, tokens + (now - refilledAt) * refillPerMs);
+    refilledAt = now;
+  }
+
+  function today() {
+    const date = new Date().toISOString().slice(0, 10);
+    if (day.date !== date) day = { date, used: 0 };
+    return day;
+  }
+
+  // Resolves once the caller may send one request (one at a time, in order)
+  function take() {
+    const turn = queue.then(async () => {
+      if (perDay != null && today().used >= perDay) throw quotaExceeded(perDay);
+      if (blockedUntil > Date.now()) throw blocked(blockedUntil);
+
+      refill();
+      const waitMs = Math.max(pausedUntil - Date.now(), tokens >= 1 ? 0 : (1 - tokens) / refillPerMs);
+      if (waitMs > 0) {
+        await sleep(waitMs);
+        refill();
+      }
+
+      tokens -= 1;
+      today().used++;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Upstream asked us to wait (Retry-After): hold every caller until then
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  }
+
+  // Same, but too long to hold a request for: refuse callers until then
+  function block(ms) {
+    blockedUntil = Math.max(blockedUntil, Date.now() + ms);
+  }
+
+  function usage() {
+    refill();
+    const { date, used } = today();
+    return {
+      perMinute,
+      tokens: Math.floor(tokens),
+      perDay,
+      today: { date, used, remaining: perDay != null ? Math.max(0, perDay - used) : null },
+      pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+      blockedUntil: blockedUntil > Date.now() ? new Date(blockedUntil).toISOString() : null,
+    };
+  }
+
+  return { take, pause, block, usage };
+}
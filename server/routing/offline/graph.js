@@ -0,0 +1,504 @@
+// server/routing/offline/graph.js
+// Routable graph built from OSM ways: compact typed-array adjacency, a grid
+// index for snapping and avoid-area lookups, and A* shortest paths.
+
+import { haversineM } from "../../geo.js";
+
+// Travel-mode bits stored per segment
+export const MODE_FOOT = 1;
+export const MODE_BIKE = 2;
+export const MODE_WHEELCHAIR = 4;
+
+const FOOT_HIGHWAYS = new Set([
+  "footway", "path", "pedestrian", "track", "steps", "living_street",
+  "residential", "service", "unclassified", "road", "cycleway", "bridleway",
+  "tertiary", "tertiary_link", "secondary", "secondary_link",
+  "primary", "primary_link",
+]);
+
+const BIKE_HIGHWAYS = new Set([
+  "cycleway", "track", "living_street", "residential", "service", "unclassified",
+  "road", "tertiary", "tertiary_link", "secondary", "secondary_link",
+  "primary", "primary_link",
+]);
+
+const WHEELCHAIR_HIGHWAYS = new Set([
+  "footway", "pedestrian", "living_street", "residential", "service",
+  "unclassified", "tertiary", "tertiary_link", "secondary", "secondary_link",
+]);
+
+const UNPAVED = new Set(["unpaved", "gravel", "fine_gravel", "dirt", "earth", "ground", "grass", "mud", "sand", "pebblestone"]);
+
+const NO_ACCESS = new Set(["no", "private"]);
+const YES_ACCESS = new Set(["yes", "designated", "permissive"]);
+
+/**
+ * Mode bitmask for a way, 0 if nobody can use it.
+ */
+export function wayModes(tags) {
+  const hw = tags.highway;
+  if (!hw || tags.area === "yes") return 0;
+
+  let modes = 0;
+
+  const footExplicit = tags.foot;
+  if (YES_ACCESS.has(footExplicit)) modes |= MODE_FOOT;
+  else if (
+    FOOT_HIGHWAYS.has(hw) &&
+    !NO_ACCESS.has(footExplicit) &&
+    !(NO_ACCESS.has(tags.access) && !footExplicit)
+  ) {
+    modes |= MODE_FOOT;
+  }
+
+  const bikeExplicit = tags.bicycle;
+  if (YES_ACCESS.has(bikeExplicit)) modes |= MODE_BIKE;
+  else if (
+    BIKE_HIGHWAYS.has(hw) &&
+    !NO_ACCESS.has(bikeExplicit) &&
+    !(NO_ACCESS.has(tags.access) && !bikeExplicit)
+  ) {
+    modes |= MODE_BIKE;
+  }
+
+  const wheelExplicit = tags.wheelchair;
+  if (YES_ACCESS.has(wheelExplicit)) modes |= MODE_WHEELCHAIR;
+  else if (
+    (modes & MODE_FOOT) &&
+    WHEELCHAIR_HIGHWAYS.has(hw) &&
+    wheelExplicit !== "no" &&
+    !UNPAVED.has(tags.surface)
+  ) {
+    modes |= MODE_WHEELCHAIR;
+  }
+
+  return modes;
+}
+
+// 1 = only along the way's node order, -1 = only against it (cycling only)
+function wayOneway(tags) {
+  if (tags["oneway:bicycle"] === "no" || tags["cycleway"] === "opposite") return 0;
+  if (tags.oneway === "yes" || tags.oneway === "1" || tags.junction === "roundabout") return 1;
+  if (tags.oneway === "-1") return -1;
+  return 0;
+}
+
+// -------------------- Build --------------------
+
+const CELL_DEG = 0.002; // ~150-220 m grid cells
+
+function cellKey(cx, cy) {
+  return `${cx}:${cy}`;
+}
+
+/**
+ * Build the graph with a two-pass read (ways first, then only the nodes they use).
+ * `read(callbacks)` is readOsmXml or readOsmPbf bound to a file.
+ */
+export async function buildGraph(read) {
+  const nodeIndex = new Map(); // osm id -> compact index
+  const ways = []; // { refs, modes, tags }
+
+  await read({
+    onWay(id, refs, tags) {
+      const modes = wayModes(tags);
+      if (!modes || refs.length < 2) return;
+
+      const idx = new Array(refs.length);
+      for (let i = 0; i < refs.length; i++) {
+        let n = nodeIndex.get(refs[i]);
+        if (n === undefined) {
+          n = nodeIndex.size;
+          nodeIndex.set(refs[i], n);
+        }
+        idx[i] = n;
+      }
+      ways.push({
+        refs: idx,
+        modes,
+        oneway: wayOneway(tags),
+        tags: { highway: tags.highway, name: tags.name, surface: tags.surface },
+      });
+    },
+  });
+
+  const nodeCount = nodeIndex.size;
+  const lat = new Float64Array(nodeCount).fill(NaN);
+  const lng = new Float64Array(nodeCount).fill(NaN);
+
+  await read({
+    onNode(id, nLat, nLng) {
+      const n = nodeIndex.get(id);
+      if (n === undefined) return;
+      lat[n] = nLat;
+      lng[n] = nLng;
+    },
+  });
+  nodeIndex.clear();
+
+  // Segments (undirected)
+  const segA = [];
+  const segB = [];
+  const segLen = [];
+  const segWay = [];
+  const segModes = [];
+  const segOneway = [];
+
+  ways.forEach((w, wi) => {
+    for (let i = 1; i < w.refs.length; i++) {
+      const a = w.refs[i - 1];
+      const b = w.refs[i];
+      if (a === b || Number.isNaN(lat[a]) || Number.isNaN(lat[b])) continue;
+      segA.push(a);
+      segB.push(b);
+      segLen.push(haversineM(lat[a], lng[a], lat[b], lng[b]));
+      segWay.push(wi);
+      segModes.push(w.modes);
+      segOneway.push(w.oneway);
+    }
+    w.refs = null; // no longer needed
+  });
+
+  const segCount = segA.length;
+
+  // CSR adjacency: for node n, half-edges adjSeg[offset[n] .. offset[n+1])
+  const degree = new Int32Array(nodeCount + 1);
+  for (let s = 0; s < segCount; s++) {
+    degree[segA[s] + 1]++;
+    degree[segB[s] + 1]++;
+  }
+  const offset = new Int32Array(nodeCount + 1);
+  for (let n = 0; n < nodeCount; n++) offset[n + 1] = offset[n] + degree[n + 1];
+
+  const fill = offset.slice(0, nodeCount);
+  const adjSeg = new Int32Array(offset[nodeCount]);
+  const adjNode = new Int32Array(offset[nodeCount]);
+  for (let s = 0; s < segCount; s++) {
+    adjSeg[fill[segA[s]]] = s;
+    adjNode[fill[segA[s]]++] = segB[s];
+    adjSeg[fill[segB[s]]] = s;
+    adjNode[fill[segB[s]]++] = segA[s];
+  }
+
+  const graph = {
+    nodeCount,
+    segCount,
+    lat,
+    lng,
+    offset,
+    adjSeg,
+    adjNode,
+    segA: Int32Array.from(segA),
+    segB: Int32Array.from(segB),
+    segLen: Float64Array.from(segLen),
+    segWay: Int32Array.from(segWay),
+    segModes: Uint8Array.from(segModes),
+    segOneway: Int8Array.from(segOneway),
+    ways: ways.map((w) => w.tags),
+  };
+
+  graph.component = labelComponents(graph);
+  graph.nodeGrid = buildNodeGrid(graph);
+  graph.segGrid = buildSegmentGrid(graph);
+
+  return graph;
+}
+
+// Label connected components per node; the largest gets id 0
+function labelComponents(g) {
+  const comp = new Int32Array(g.nodeCount).fill(-1);
+  const sizes = [];
+  const stack = [];
+
+  for (let start = 0; start < g.nodeCount; start++) {
+    if (comp[start] !== -1 || g.offset[start] === g.offset[start + 1]) continue;
+    const id = sizes.length;
+    let size = 0;
+    comp[start] = id;
+    stack.push(start);
+    while (stack.length) {
+      const n = stack.pop();
+      size++;
+      for (let e = g.offset[n]; e < g.offset[n + 1]; e++) {
+        const m = g.adjNode[e];
+        if (comp[m] === -1) {
+          comp[m] = id;
+          stack.push(m);
+        }
+      }
+    }
+    sizes.push(size);
+  }
+
+  let largest = 0;
+  for (let i = 1; i < sizes.length; i++) if (sizes[i] > sizes[largest]) largest = i;
+
+  // swap so that the largest component is 0
+  for (let n = 0; n < g.nodeCount; n++) {
+    if (comp[n] === largest) comp[n] = 0;
+    else if (comp[n] === 0) comp[n] = largest;
+  }
+  return comp;
+}
+
+function buildNodeGrid(g) {
+  const grid = new Map();
+  for (let n = 0; n < g.nodeCount; n++) {
+    if (g.component[n] !== 0) continue;
+    const key = cellKey(Math.floor(g.lng[n] / CELL_DEG), Math.floor(g.lat[n] / CELL_DEG));
+    let cell = grid.get(key);
+    if (!cell) grid.set(key, (cell = []));
+    cell.push(n);
+  }
+  return grid;
+}
+
+function buildSegmentGrid(g) {
+  const grid = new Map();
+  for (let s = 0; s < g.segCount; s++) {
+    const a = g.segA[s];
+    const b = g.segB[s];
+    const x0 = Math.floor(Math.min(g.lng[a], g.lng[b]) / CELL_DEG);
+    const x1 = Math.floor(Math.max(g.lng[a], g.lng[b]) / CELL_DEG);
+    const y0 = Math.floor(Math.min(g.lat[a], g.lat[b]) / CELL_DEG);
+    const y1 = Math.floor(Math.max(g.lat[a], g.lat[b]) / CELL_DEG);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = cellKey(x, y);
+        let cell = grid.get(key);
+        if (!cell) grid.set(key, (cell = []));
+        cell.push(s);
+      }
+    }
+  }
+  return grid;
+}
+
+// -------------------- Queries --------------------
+
+function nodeAllows(g, n, mode) {
+  for (let e = g.offset[n]; e < g.offset[n + 1]; e++) {
+    if (g.segModes[g.adjSeg[e]] & mode) return true;
+  }
+  return false;
+}
+
+/**
+ * Nearest node of the main (largest) component usable by `mode`,
+ * or -1 if nothing within maxM.
+ */
+export function nearestNode(g, lat, lng, maxM = 2000, mode = MODE_FOOT) {
+  const cx = Math.floor(lng / CELL_DEG);
+  const cy = Math.floor(lat / CELL_DEG);
+  const maxRing = Math.ceil(maxM / 111320 / CELL_DEG) + 1;
+
+  let best = -1;
+  let bestD = Infinity;
+
+  for (let ring = 0; ring <= maxRing; ring++) {
+    for (let x = cx - ring; x <= cx + ring; x++) {
+      for (let y = cy - ring; y <= cy + ring; y++) {
+        if (Math.max(Math.abs(x - cx), Math.abs(y - cy)) !== ring) continue;
+        const cell = g.nodeGrid.get(cellKey(x, y));
+        if (!cell) continue;
+        for (const n of cell) {
+          if (!nodeAllows(g, n, mode)) continue;
+          const d = haversineM(lat, lng, g.lat[n], g.lng[n]);
+          if (d < bestD) {
+            bestD = d;
+            best = n;
+          }
+        }
+      }
+    }
+    // one extra ring guarantees nothing closer hides in a neighbouring cell
+    if (best >= 0 && ring * CELL_DEG * 111320 * 0.6 > bestD) break;
+  }
+
+  return bestD <= maxM ? best : -1;
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function segmentsCross(p1, p2, p3, p4) {
+  const d = (a, b, c) => (c[0] - a[0]) * (b[1] - a[1]) - (b[0] - a[0]) * (c[1] - a[1]);
+  const d1 = d(p3, p4, p1);
+  const d2 = d(p3, p4, p2);
+  const d3 = d(p1, p2, p3);
+  const d4 = d(p1, p2, p4);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/**
+ * True when [lng,lat] lies inside any polygon of a GeoJSON MultiPolygon (outer rings only).
+ */
+export function pointInPolygons(point, multiPolygon) {
+  return (multiPolygon?.coordinates || []).some((rings) => rings?.[0] && pointInRing(point, rings[0]));
+}
+
+/**
+ * Segment ids touched by any polygon of a GeoJSON MultiPolygon (outer rings only).
+ */
+export function segmentsInPolygons(g, multiPolygon) {
+  const blocked = new Set();
+  if (!multiPolygon?.coordinates) return blocked;
+
+  for (const rings of multiPolygon.coordinates) {
+    const ring = rings?.[0];
+    if (!ring || ring.length < 4) continue;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [x, y] of ring) {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+
+    for (let x = Math.floor(minX / CELL_DEG); x <= Math.floor(maxX / CELL_DEG); x++) {
+      for (let y = Math.floor(minY / CELL_DEG); y <= Math.floor(maxY / CELL_DEG); y++) {
+        const cell = g.segGrid.get(cellKey(x, y));
+        if (!cell) continue;
+        for (const s of cell) {
+          if (blocked.has(s)) continue;
+          const A = [g.lng[g.segA[s]], g.lat[g.segA[s]]];
+          const B = [g.lng[g.segB[s]], g.lat[g.segB[s]]];
+          const mid = [(A[0] + B[0]) / 2, (A[1] + B[1]) / 2];
+
+          let hit = pointInRing(mid, ring);
+          for (let i = 1; !hit && i < ring.length; i++) {
+            hit = segmentsCross(A, B, ring[i - 1], ring[i]);
+          }
+          if (hit) blocked.add(s);
+        }
+      }
+    }
+  }
+
+  return blocked;
+}
+
+// Binary min-heap keyed by f-score
+function createHeap() {
+  const keys = [];
+  const vals = [];
+
+  return {
+    get size() {
+      return keys.length;
+    },
+    push(key, val) {
+      let i = keys.length;
+      keys.push(key);
+      vals.push(val);
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (keys[p] <= key) break;
+        keys[i] = keys[p];
+        vals[i] = vals[p];
+        i = p;
+      }
+      keys[i] = key;
+      vals[i] = val;
+    },
+    pop() {
+      const top = vals[0];
+      const lastK = keys.pop();
+      const lastV = vals.pop();
+      if (keys.length) {
+        let i = 0;
+        for (;;) {
+          let c = 2 * i + 1;
+          if (c >= keys.length) break;
+          if (c + 1 < keys.length && keys[c + 1] < keys[c]) c++;
+          if (keys[c] >= lastK) break;
+          keys[i] = keys[c];
+          vals[i] = vals[c];
+          i = c;
+        }
+        keys[i] = lastK;
+        vals[i] = lastV;
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * A* from node `from` to node `to`.
+ * - mode: MODE_* bit a segment must allow
+ * - blocked: Set of segment ids that may not be used
+ * - penalty: optional Map segment id -> cost multiplier (>= 1)
+ * - wayFactor: optional (wayTags) -> cost multiplier (>= 1) for the profile
+ * Returns { nodes: [...], segs: [...], distance } or null.
+ */
+export function shortestPath(g, from, to, { mode = MODE_FOOT, blocked = null, penalty = null, wayFactor = null } = {}) {
+  if (from === to) return { nodes: [from], segs: [], distance: 0 };
+
+  const cost = new Map([[from, 0]]);
+  const prevSeg = new Map();
+  const closed = new Set();
+  const heap = createHeap();
+
+  const tLat = g.lat[to];
+  const tLng = g.lng[to];
+  const h = (n) => 0.99 * haversineM(g.lat[n], g.lng[n], tLat, tLng);
+
+  heap.push(h(from), from);
+
+  while (heap.size) {
+    const n = heap.pop();
+    if (n === to) break;
+    if (closed.has(n)) continue;
+    closed.add(n);
+
+    const base = cost.get(n);
+    for (let e = g.offset[n]; e < g.offset[n + 1]; e++) {
+      const s = g.adjSeg[e];
+      if (!(g.segModes[s] & mode)) continue;
+      if (blocked?.has(s)) continue;
+      if (mode === MODE_BIKE && g.segOneway[s] !== 0) {
+        const forward = g.segA[s] === n;
+        if (forward !== g.segOneway[s] > 0) continue;
+      }
+
+      const m = g.adjNode[e];
+      if (closed.has(m)) continue;
+
+      const factor = (penalty?.get(s) ?? 1) * (wayFactor ? wayFactor(g.ways[g.segWay[s]]) : 1);
+      const c = base + g.segLen[s] * factor;
+      const old = cost.get(m);
+      if (old === undefined || c < old) {
+        cost.set(m, c);
+        prevSeg.set(m, s);
+        heap.push(c + h(m), m);
+      }
+    }
+  }
+
+  if (!prevSeg.has(to)) return null;
+
+  const nodes = [to];
+  const segs = [];
+  let distance = 0;
+  let n = to;
+  while (n !== from) {
+    const s = prevSeg.get(n);
+    segs.push(s);
+    distance += g.segLen[s];
+    n = g.segA[s] === n ? g.segB[s] : g.segA[s];
+    nodes.push(n);
+  }
+  nodes.reverse();
+  segs.reverse();
+
+  return { nodes, segs, distance };
+}
@@ -0,0 +1,293 @@
+// server/routing/offline/index.js
+// Built-in router over a local OSM extract (.osm.pbf or .osm XML). Needs no
+// network and no API key; the graph is loaded once, in the background, when
+// the provider is created.
+
+import path from "node:path";
+import { unsupported } from "../http.js";
+import { routeFeatureCollection, syntheticRoundTripCoordinates } from "../geojson.js";
+import { STEP, makeStep, turnAngleAt, turnType } from "../steps.js";
+import { SURFACE, WAYTYPE, summarizeExtras } from "../extras.js";
+import { readOsmXml } from "./osmXml.js";
+import { readOsmPbf } from "./osmPbf.js";
+import {
+  buildGraph,
+  nearestNode,
+  segmentsInPolygons,
+  pointInPolygons,
+  shortestPath,
+  MODE_FOOT,
+  MODE_BIKE,
+  MODE_WHEELCHAIR,
+} from "./graph.js";
+
+const UNPAVED = new Set(["unpaved", "gravel", "fine_gravel", "dirt", "earth", "ground", "grass", "mud", "sand"]);
+const BUSY_ROADS = new Set(["primary", "primary_link", "secondary", "secondary_link"]);
+
+// Routing profiles (ORS names) -> travel mode, speed and way preferences
+const PROFILES = {
+  "foot-walking": {
+    mode: MODE_FOOT,
+    speedMs: 5 / 3.6,
+    wayFactor: (w) => (BUSY_ROADS.has(w.highway) ? 1.3 : 1),
+  },
+  "foot-hiking": {
+    mode: MODE_FOOT,
+    speedMs: 4 / 3.6,
+    wayFactor: (w) => (w.highway === "path" || w.highway === "track" ? 1 : BUSY_ROADS.has(w.highway) ? 2 : 1.3),
+  },
+  wheelchair: {
+    mode: MODE_WHEELCHAIR,
+    speedMs: 4 / 3.6,
+    wayFactor: null,
+  },
+  "cycling-regular": {
+    mode: MODE_BIKE,
+    speedMs: 18 / 3.6,
+    wayFactor: (w) => (BUSY_ROADS.has(w.highway) ? 1.3 : 1),
+  },
+  "cycling-road": {
+    mode: MODE_BIKE,
+    speedMs: 27 / 3.6,
+    wayFactor: (w) => (w.highway === "track" || UNPAVED.has(w.surface) ? 4 : 1),
+  },
+  "cycling-mountain": {
+    mode: MODE_BIKE,
+    speedMs: 20 / 3.6,
+    wayFactor: (w) => (w.highway === "track" || UNPAVED.has(w.surface) ? 1 : 1.5),
+  },
+};
+
+// Cost multiplier for segments already used by an earlier leg of the same
+// request, so round trips prefer new streets over doubling back.
+const REUSE_PENALTY = 4;
+
+/**
+ * Steps for a path: a new step wherever the street name changes, or where an
+ * unnamed way turns. segs[i] joins coords[i] and coords[i + 1].
+ */
+function pathSteps(g, segs, coords, speedMs) {
+  const steps = [];
+  const wayName = (s) => g.ways[g.segWay[s]].name || null;
+
+  let from = 0;
+  let type = STEP.DEPART;
+  let name = segs.length ? wayName(segs[0]) : null;
+  let distance = 0;
+
+  const flush = (to) => {
+    steps.push(makeStep(type, name, from, to, { distance, duration: distance / speedMs }));
+    distance = 0;
+  };
+
+  segs.forEach((s, i) => {
+    if (i > 0) {
+      const next = wayName(s);
+      const turn = turnType(turnAngleAt(coords, i));
+      if (next !== name || (!next && turn !== STEP.STRAIGHT)) {
+        flush(i);
+        from = i;
+        type = turn;
+        name = next;
+      }
+    }
+    distance += g.segLen[s];
+  });
+
+  if (segs.length) flush(segs.length);
+  steps.push(makeStep(STEP.GOAL, null, segs.length, segs.length));
+  return steps;
+}
+
+// OSM tags -> ORS extras codes
+const OSM_SURFACES = {
+  paved: SURFACE.PAVED,
+  unpaved: SURFACE.UNPAVED,
+  asphalt: SURFACE.ASPHALT,
+  concrete: SURFACE.CONCRETE,
+  cobblestone: SURFACE.COBBLESTONE,
+  sett: SURFACE.COBBLESTONE,
+  metal: SURFACE.METAL,
+  wood: SURFACE.WOOD,
+  compacted: SURFACE.COMPACTED_GRAVEL,
+  fine_gravel: SURFACE.FINE_GRAVEL,
+  gravel: SURFACE.GRAVEL,
+  pebblestone: SURFACE.GRAVEL,
+  dirt: SURFACE.DIRT,
+  earth: SURFACE.DIRT,
+  ground: SURFACE.GROUND,
+  mud: SURFACE.GROUND,
+  ice: SURFACE.ICE,
+  paving_stones: SURFACE.PAVING_STONES,
+  sand: SURFACE.SAND,
+  woodchips: SURFACE.WOODCHIPS,
+  grass: SURFACE.GRASS,
+  grass_paver: SURFACE.GRASS_PAVER,
+};
+
+const OSM_WAYTYPES = {
+  motorway: WAYTYPE.STATE_ROAD,
+  trunk: WAYTYPE.STATE_ROAD,
+  primary: WAYTYPE.STATE_ROAD,
+  primary_link: WAYTYPE.STATE_ROAD,
+  secondary: WAYTYPE.ROAD,
+  secondary_link: WAYTYPE.ROAD,
+  tertiary: WAYTYPE.ROAD,
+  tertiary_link: WAYTYPE.ROAD,
+  unclassified: WAYTYPE.ROAD,
+  residential: WAYTYPE.STREET,
+  living_street: WAYTYPE.STREET,
+  service: WAYTYPE.STREET,
+  pedestrian: WAYTYPE.FOOTWAY,
+  footway: WAYTYPE.FOOTWAY,
+  bridleway: WAYTYPE.PATH,
+  path: WAYTYPE.PATH,
+  track: WAYTYPE.TRACK,
+  cycleway: WAYTYPE.CYCLEWAY,
+  steps: WAYTYPE.STEPS,
+  construction: WAYTYPE.CONSTRUCTION,
+};
+
+/**
+ * Surface and waytype extras for a path (no steepness: the extract has no
+ * heights). segs[i] joins coords[i] and coords[i + 1].
+ */
+function pathExtras(g, segs, coords) {
+  const runs = (code) => {
+    const values = [];
+    segs.forEach((s, i) => {
+      const v = code(g.ways[g.segWay[s]]);
+      const prev = values[values.length - 1];
+      if (prev && prev[2] === v) prev[1] = i + 1;
+      else values.push([i, i + 1, v]);
+    });
+    return { values };
+  };
+
+  return summarizeExtras(
+    {
+      surface: runs((w) => OSM_SURFACES[w.surface] ?? SURFACE.UNKNOWN),
+      waytype: runs((w) => OSM_WAYTYPES[w.highway] ?? WAYTYPE.UNKNOWN),
+    },
+    coords
+  );
+}
+
+function readerFor(extractPath) {
+  const lower = extractPath.toLowerCase();
+  if (lower.endsWith(".pbf")) return (callbacks) => readOsmPbf(extractPath, callbacks);
+  if (lower.endsWith(".osm") || lower.endsWith(".xml")) return (callbacks) => readOsmXml(extractPath, callbacks);
+  throw new Error(`Unsupported OSM extract "${path.basename(extractPath)}" (expected .osm.pbf or .osm)`);
+}
+
+export function createOfflineProvider({ extractPath }) {
+  if (!extractPath) {
+    throw new Error("ROUTING_PROVIDER=offline needs OSM_EXTRACT_PATH");
+  }
+
+  const startedAt = Date.now();
+  const graphPromise = buildGraph(readerFor(extractPath));
+
+  graphPromise.then(
+    (g) =>
+      console.log(
+        `Offline graph loaded from ${path.basename(extractPath)}: ` +
+          `${g.nodeCount} nodes, ${g.segCount} segments in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`
+      ),
+    (e) => console.error(`Offline graph failed to load: ${e.message}`)
+  );
+
+  async function loadedGraph() {
+    try {
+      return await graphPromise;
+    } catch (e) {
+      const err = new Error("Offline graph unavailable");
+      err.status = 503;
+      err.details = String(e?.message || e);
+      throw err;
+    }
+  }
+
+  function profileFor(profile) {
+    const p = PROFILES[profile];
+    if (!p) throw unsupported(`Offline router has no "${profile}" profile`);
+    return p;
+  }
+
+  function snap(g, [lng, lat], mode) {
+    const n = nearestNode(g, lat, lng, 2000, mode);
+    if (n < 0) {
+      const err = new Error("Point outside the offline map");
+      err.status = 400;
+      err.details = `No usable road within 2 km of ${lat.toFixed(5)}, ${lng.toFixed(5)} in ${path.basename(extractPath)}`;
+      throw err;
+    }
+    return n;
+  }
+
+  async function directions({ coordinates, profile = "foot-walking", avoidPolygons = null }) {
+    const { mode, speedMs, wayFactor } = profileFor(profile);
+    const g = await loadedGraph();
+    const blocked = avoidPolygons ? segmentsInPolygons(g, avoidPolygons) : null;
+    const penalty = new Map();
+
+    const stops = coordinates.map((c) => snap(g, c, mode));
+    const coords = [[g.lng[stops[0]], g.lat[stops[0]]]];
+    const segs = [];
+    let distance = 0;
+
+    for (let i = 1; i < stops.length; i++) {
+      const leg = shortestPath(g, stops[i - 1], stops[i], { mode, blocked, penalty, wayFactor });
+      if (!leg) {
+        const err = new Error("No offline route found");
+        err.status = 404;
+        err.details = `No path between via-points ${i - 1} and ${i} (blocked or disconnected)`;
+        throw err;
+      }
+
+      for (const s of leg.segs) penalty.set(s, REUSE_PENALTY);
+      segs.push(...leg.segs);
+      for (const n of leg.nodes.slice(1)) coords.push([g.lng[n], g.lat[n]]);
+      distance += leg.distance;
+    }
+
+    return routeFeatureCollection(coords, {
+      distance,
+      duration: distance / speedMs,
+      steps: pathSteps(g, segs, coords, speedMs),
+      extras: pathExtras(g, segs, coords),
+    });
+  }
+
+  async function roundTrip({
+    startLat,
+    startLng,
+    lengthMeters,
+    profile = "foot-walking",
+    points = 6,
+    seed = 1,
+    avoidPolygons = null,
+  }) {
+    const { mode } = profileFor(profile);
+    const coordinates = syntheticRoundTripCoordinates({ startLat, startLng, lengthMeters, points, seed });
+
+    // via-points that snap far off (water, fields) distort the loop and ones
+    // inside an avoided area cannot be reached; skip them
+    const g = await loadedGraph();
+    const usable = coordinates.filter(
+      ([lng, lat], i) =>
+        i === 0 ||
+        i === coordinates.length - 1 ||
+        (nearestNode(g, lat, lng, 400, mode) >= 0 && !pointInPolygons([lng, lat], avoidPolygons))
+    );
+
+    return directions({ coordinates: usable, profile, avoidPolygons });
+  }
+
+  return {
+    name: "offline",
+    supportsAvoidPolygons: true,
+    directions,
+    roundTrip,
+  };
+}
@@ -0,0 +1,232 @@
+// server/routing/offline/osmPbf.js
+// Minimal .osm.pbf reader: just enough protobuf to pull nodes (plain and dense)
+// and ways out of the primitive blocks. Same callbacks as readOsmXml.
+
+import fs from "node:fs/promises";
+import zlib from "node:zlib";
+import { promisify } from "node:util";
+
+const inflate = promisify(zlib.inflate);
+
+// -------------------- Protobuf wire format --------------------
+
+class ProtoReader {
+  constructor(buf, start = 0, end = buf.length) {
+    this.buf = buf;
+    this.pos = start;
+    this.end = end;
+  }
+
+  eof() {
+    return this.pos >= this.end;
+  }
+
+  // Varints up to 2^53 are exact as Numbers, which covers OSM ids and offsets
+  varint() {
+    let result = 0;
+    let mul = 1;
+    let byte;
+    do {
+      byte = this.buf[this.pos++];
+      result += (byte & 0x7f) * mul;
+      mul *= 128;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  svarint() {
+    const v = this.varint();
+    return v % 2 === 0 ? v / 2 : -(v + 1) / 2;
+  }
+
+  // returns [fieldNumber, wireType]
+  key() {
+    const k = this.varint();
+    return [Math.floor(k / 8), k & 7];
+  }
+
+  bytes() {
+    const len = this.varint();
+    const start = this.pos;
+    this.pos += len;
+    return this.buf.subarray(start, this.pos);
+  }
+
+  sub() {
+    const len = this.varint();
+    const r = new ProtoReader(this.buf, this.pos, this.pos + len);
+    this.pos += len;
+    return r;
+  }
+
+  packed(signed) {
+    const r = this.sub();
+    const out = [];
+    while (!r.eof()) out.push(signed ? r.svarint() : r.varint());
+    return out;
+  }
+
+  skip(wireType) {
+    if (wireType === 0) this.varint();
+    else if (wireType === 1) this.pos += 8;
+    else if (wireType === 2) {
+      const len = this.varint();
+      this.pos += len;
+    }
+    else if (wireType === 5) this.pos += 4;
+    else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+  }
+}
+
+// -------------------- OSM PBF blocks --------------------
+
+function readBlobHeader(buf) {
+  const r = new ProtoReader(buf);
+  const header = { type: "", datasize: 0 };
+  while (!r.eof()) {
+    const [field, wt] = r.key();
+    if (field === 1) header.type = r.bytes().toString("utf8");
+    else if (field === 3) header.datasize = r.varint();
+    else r.skip(wt);
+  }
+  return header;
+}
+
+async function readBlobData(buf) {
+  const r = new ProtoReader(buf);
+  while (!r.eof()) {
+    const [field, wt] = r.key();
+    if (field === 1) return Buffer.from(r.bytes());
+    if (field === 3) return inflate(r.bytes());
+    if (field === 4 || field === 5 || field === 6 || field === 7) {
+      throw new Error("Unsupported PBF blob compression (only zlib and raw are supported)");
+    }
+    r.skip(wt);
+  }
+  return Buffer.alloc(0);
+}
+
+function decodeTags(keys, vals, strings) {
+  const tags = {};
+  for (let i = 0; i < keys.length; i++) tags[strings[keys[i]]] = strings[vals[i]];
+  return tags;
+}
+
+function readPrimitiveBlock(buf, { onNode, onWay }) {
+  const r = new ProtoReader(buf);
+  const strings = [];
+  const groups = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+
+  while (!r.eof()) {
+    const [field, wt] = r.key();
+    if (field === 1) {
+      const st = r.sub();
+      while (!st.eof()) {
+        const [f, w] = st.key();
+        if (f === 1) strings.push(st.bytes().toString("utf8"));
+        else st.skip(w);
+      }
+    } else if (field === 2) groups.push(r.sub());
+    else if (field === 17) granularity = r.varint();
+    else if (field === 19) latOffset = r.varint();
+    else if (field === 20) lonOffset = r.varint();
+    else r.skip(wt);
+  }
+
+  const toDeg = (v, offset) => 1e-9 * (offset + granularity * v);
+
+  for (const g of groups) {
+    while (!g.eof()) {
+      const [field, wt] = g.key();
+
+      if (field === 1 && onNode) {
+        const n = g.sub();
+        let id = 0, lat = 0, lon = 0;
+        while (!n.eof()) {
+          const [f, w] = n.key();
+          if (f === 1) id = n.svarint();
+          else if (f === 8) lat = n.svarint();
+          else if (f === 9) lon = n.svarint();
+          else n.skip(w);
+        }
+        onNode(id, toDeg(lat, latOffset), toDeg(lon, lonOffset));
+      } else if (field === 2 && onNode) {
+        const d = g.sub();
+        let ids = [], lats = [], lons = [];
+        while (!d.eof()) {
+          const [f, w] = d.key();
+          if (f === 1) ids = d.packed(true);
+          else if (f === 8) lats = d.packed(true);
+          else if (f === 9) lons = d.packed(true);
+          else d.skip(w);
+        }
+        let id = 0, lat = 0, lon = 0;
+        for (let i = 0; i < ids.length; i++) {
+          id += ids[i];
+          lat += lats[i];
+          lon += lons[i];
+          onNode(id, toDeg(lat, latOffset), toDeg(lon, lonOffset));
+        }
+      } else if (field === 3 && onWay) {
+        const w = g.sub();
+        let id = 0, keys = [], vals = [], deltas = [];
+        while (!w.eof()) {
+          const [f, wtype] = w.key();
+          if (f === 1) id = w.varint();
+          else if (f === 2) keys = w.packed(false);
+          else if (f === 3) vals = w.packed(false);
+          else if (f === 8) deltas = w.packed(true);
+          else w.skip(wtype);
+        }
+        const refs = new Array(deltas.length);
+        let ref = 0;
+        for (let i = 0; i < deltas.length; i++) {
+          ref += deltas[i];
+          refs[i] = ref;
+        }
+        onWay(id, refs, decodeTags(keys, vals, strings));
+      } else {
+        g.skip(wt);
+      }
+    }
+  }
+}
+
+/**
+ * Stream nodes and ways from an .osm.pbf file:
+ *   onNode(id, lat, lon)
+ *   onWay(id, refs[], tags{})
+ */
+export async function readOsmPbf(filePath, { onNode, onWay }) {
+  const fh = await fs.open(filePath, "r");
+  try {
+    const { size } = await fh.stat();
+    let offset = 0;
+    const lenBuf = Buffer.alloc(4);
+
+    while (offset < size) {
+      await fh.read(lenBuf, 0, 4, offset);
+      const headerLen = lenBuf.readUInt32BE(0);
+      offset += 4;
+
+      const headerBuf = Buffer.alloc(headerLen);
+      await fh.read(headerBuf, 0, headerLen, offset);
+      offset += headerLen;
+      const header = readBlobHeader(headerBuf);
+
+      const blobBuf = Buffer.alloc(header.datasize);
+      await fh.read(blobBuf, 0, header.datasize, offset);
+      offset += header.datasize;
+
+      if (header.type !== "OSMData") continue;
+
+      const data = await readBlobData(blobBuf);
+      readPrimitiveBlock(data, { onNode, onWay });
+    }
+  } finally {
+    await fh.close();
+  }
+}
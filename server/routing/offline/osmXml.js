@@ -0,0 +1,98 @@
+// server/routing/offline/osmXml.js
+// Streaming reader for .osm XML extracts. Only <node>, <way>, <nd> and <tag>
+// are looked at; relations and metadata are skipped.
+
+import fs from "node:fs";
+
+const ATTR_RE = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(s) {
+  if (!s.includes("&")) return s;
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function parseAttrs(tagBody) {
+  const attrs = {};
+  ATTR_RE.lastIndex = 0;
+  let m;
+  while ((m = ATTR_RE.exec(tagBody))) {
+    attrs[m[1]] = decodeEntities(m[2] ?? m[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Stream every element of interest through the callbacks:
+ *   onNode(id, lat, lon)
+ *   onWay(id, refs[], tags{})
+ * Node tags are not reported (the router doesn't need them).
+ */
+export async function readOsmXml(filePath, { onNode, onWay }) {
+  const stream = fs.createReadStream(filePath, { encoding: "utf8", highWaterMark: 1 << 20 });
+
+  let buf = "";
+  let way = null;
+
+  function handleTag(raw) {
+    // raw is the text between '<' and '>'
+    if (raw[0] === "?" || raw[0] === "!") return;
+
+    if (raw[0] === "/") {
+      if (way && raw.startsWith("/way")) {
+        onWay?.(way.id, way.refs, way.tags);
+        way = null;
+      }
+      return;
+    }
+
+    const nameEnd = raw.search(/[\s/]/);
+    const name = nameEnd < 0 ? raw : raw.slice(0, nameEnd);
+    const selfClosing = raw.endsWith("/");
+
+    if (name === "node") {
+      if (!onNode) return;
+      const a = parseAttrs(raw);
+      onNode(Number(a.id), Number(a.lat), Number(a.lon));
+    } else if (name === "way") {
+      const a = parseAttrs(raw);
+      way = { id: Number(a.id), refs: [], tags: {} };
+      if (selfClosing) {
+        onWay?.(way.id, way.refs, way.tags);
+        way = null;
+      }
+    } else if (way && name === "nd") {
+      way.refs.push(Number(parseAttrs(raw).ref));
+    } else if (way && name === "tag") {
+      const a = parseAttrs(raw);
+      way.tags[a.k] = a.v;
+    }
+  }
+
+  for await (const chunk of stream) {
+    buf += chunk;
+
+    let pos = 0;
+    for (;;) {
+      const lt = buf.indexOf("<", pos);
+      if (lt < 0) {
+        pos = buf.length;
+        break;
+      }
+      const gt = buf.indexOf(">", lt);
+      if (gt < 0) {
+        pos = lt;
+        break;
+      }
+      handleTag(buf.slice(lt + 1, gt));
+      pos = gt + 1;
+    }
+    buf = buf.slice(pos);
+  }
+}
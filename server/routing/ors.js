@@ -0,0 +1,54 @@
+// server/routing/ors.js
+// OpenRouteService adapter. ORS responses already have the shape the server
+// expects, so this one is mostly a pass-through; it asks for the way details
+// (surface, waytype, steepness) the loop scoring and the map use.
+
+import { createHttpClient } from "./http.js";
+import { EXTRA_INFO } from "./extras.js";
+
+export function createOrsProvider({ apiKey, baseUrl = "https://api.openrouteservice.org", http = createHttpClient() }) {
+  const headers = { Authorization: apiKey };
+
+  function directionsUrl(profile) {
+    return `${baseUrl}/v2/directions/${profile}/geojson`;
+  }
+
+  async function directions({ coordinates, profile = "foot-walking", avoidPolygons = null }) {
+    const body = { coordinates, extra_info: EXTRA_INFO };
+    if (avoidPolygons) body.options = { avoid_polygons: avoidPolygons };
+
+    return http.postJson(directionsUrl(profile), body, { headers, label: "ORS request" });
+  }
+
+  async function roundTrip({
+    startLat,
+    startLng,
+    lengthMeters,
+    profile = "foot-walking",
+    points = 6,
+    seed = 1,
+    avoidPolygons = null,
+  }) {
+    const options = {
+      round_trip: {
+        length: Math.round(lengthMeters),
+        points,
+        seed,
+      },
+    };
+    if (avoidPolygons) options.avoid_polygons = avoidPolygons;
+
+    return http.postJson(
+      directionsUrl(profile),
+      { coordinates: [[startLng, startLat]], options, extra_info: EXTRA_INFO },
+      { headers, label: "ORS round-trip request" }
+    );
+  }
+
+  return {
+    name: "ors",
+    supportsAvoidPolygons: true,
+    directions,
+    roundTrip,
+  };
+}
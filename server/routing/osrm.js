@@ -0,0 +1,102 @@
+// server/routing/osrm.js
+// Self-hosted OSRM adapter. OSRM has no round-trip mode and no avoid areas,
+// so round trips go through synthetic via-points and avoid requests are refused.
+
+import { createHttpClient, unsupported } from "./http.js";
+import { routeFeatureCollection, syntheticRoundTripCoordinates } from "./geojson.js";
+import { STEP, makeStep } from "./steps.js";
+
+// OSRM serves one graph per profile; the URL segment only has to match it
+const PROFILES = {
+  "foot-walking": "foot",
+  "foot-hiking": "foot",
+  wheelchair: "foot",
+  "cycling-regular": "bike",
+  "cycling-road": "bike",
+  "cycling-mountain": "bike",
+};
+
+const MODIFIERS = {
+  uturn: STEP.U_TURN,
+  "sharp right": STEP.SHARP_RIGHT,
+  right: STEP.RIGHT,
+  "slight right": STEP.SLIGHT_RIGHT,
+  straight: STEP.STRAIGHT,
+  "slight left": STEP.SLIGHT_LEFT,
+  left: STEP.LEFT,
+  "sharp left": STEP.SHARP_LEFT,
+};
+
+function maneuverType({ type, modifier }) {
+  if (type === "depart") return STEP.DEPART;
+  if (type === "arrive") return STEP.GOAL;
+  if (type === "roundabout" || type === "rotary") return STEP.ENTER_ROUNDABOUT;
+  if (type === "exit roundabout" || type === "exit rotary") return STEP.EXIT_ROUNDABOUT;
+  if (type === "fork" && modifier?.includes("left")) return STEP.KEEP_LEFT;
+  if (type === "fork" && modifier?.includes("right")) return STEP.KEEP_RIGHT;
+  return MODIFIERS[modifier] ?? STEP.STRAIGHT;
+}
+
+/**
+ * Route geometry stitched from the step geometries, so every step knows its
+ * coordinate range. Via-point arrivals/departures become plain continues.
+ */
+function coordsAndSteps(legs) {
+  const coords = [];
+  const steps = [];
+
+  legs.forEach((leg, li) => {
+    for (const step of leg.steps || []) {
+      const from = Math.max(0, coords.length - 1);
+      for (const c of step.geometry?.coordinates || []) {
+        const last = coords[coords.length - 1];
+        if (!last || last[0] !== c[0] || last[1] !== c[1]) coords.push(c);
+      }
+
+      let type = maneuverType(step.maneuver || {});
+      if (type === STEP.GOAL && li < legs.length - 1) continue;
+      if (type === STEP.DEPART && li > 0) type = STEP.STRAIGHT;
+
+      steps.push(
+        makeStep(type, step.name, from, coords.length - 1, { distance: step.distance, duration: step.duration })
+      );
+    }
+  });
+
+  return { coords, steps };
+}
+
+export function createOsrmProvider({ baseUrl = "http://127.0.0.1:5000", http = createHttpClient() }) {
+  async function directions({ coordinates, profile = "foot-walking", avoidPolygons = null }) {
+    if (avoidPolygons) {
+      throw unsupported("OSRM does not support avoid areas; use ORS, GraphHopper or Valhalla for reroutes");
+    }
+
+    const osrmProfile = PROFILES[profile] || "foot";
+    const path = coordinates.map(([lng, lat]) => `${lng},${lat}`).join(";");
+    const url = `${baseUrl}/route/v1/${osrmProfile}/${path}?overview=false&steps=true&geometries=geojson`;
+
+    const data = await http.getJson(url, { label: "OSRM request" });
+    const route = data?.routes?.[0];
+
+    const { coords, steps } = coordsAndSteps(route?.legs || []);
+
+    return routeFeatureCollection(coords, {
+      distance: route?.distance,
+      duration: route?.duration,
+      steps,
+    });
+  }
+
+  async function roundTrip({ startLat, startLng, lengthMeters, profile, points = 6, seed = 1, avoidPolygons = null }) {
+    const coordinates = syntheticRoundTripCoordinates({ startLat, startLng, lengthMeters, points, seed });
+    return directions({ coordinates, profile, avoidPolygons });
+  }
+
+  return {
+    name: "osrm",
+    supportsAvoidPolygons: false,
+    directions,
+    roundTrip,
+  };
+}
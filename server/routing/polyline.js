@@ -0,0 +1,30 @@
+// server/routing/polyline.js
+// Google encoded-polyline decoder (Valhalla uses precision 6).
+
+export function decodePolyline(str, precision = 5) {
+  const factor = 10 ** precision;
+  const coords = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < str.length) {
+    for (const axis of [0, 1]) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = str.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === 0) lat += delta;
+      else lng += delta;
+    }
+    coords.push([lng / factor, lat / factor]);
+  }
+
+  return coords;
+}
@@ -0,0 +1,172 @@
+// server/routing/steps.js
+// Turn-by-turn steps in the ORS shape:
+//   { type, instruction, name, distance, duration, way_points: [from, to] }
+// way_points index into the route's coordinates. Adapters whose backend has
+// no ORS-style steps build them with the helpers here; the routes use the
+// slice/shift/join helpers to keep indices right when routes are joined or
+// spliced.
+
+import { haversineM, toRad } from "../geo.js";
+
+// ORS instruction types
+export const STEP = {
+  LEFT: 0,
+  RIGHT: 1,
+  SHARP_LEFT: 2,
+  SHARP_RIGHT: 3,
+  SLIGHT_LEFT: 4,
+  SLIGHT_RIGHT: 5,
+  STRAIGHT: 6,
+  ENTER_ROUNDABOUT: 7,
+  EXIT_ROUNDABOUT: 8,
+  U_TURN: 9,
+  GOAL: 10,
+  DEPART: 11,
+  KEEP_LEFT: 12,
+  KEEP_RIGHT: 13,
+};
+
+// Step type -> cue type used by the exporters (FIT course point names)
+export const CUE_TYPES = {
+  [STEP.LEFT]: "left",
+  [STEP.RIGHT]: "right",
+  [STEP.SHARP_LEFT]: "sharpLeft",
+  [STEP.SHARP_RIGHT]: "sharpRight",
+  [STEP.SLIGHT_LEFT]: "slightLeft",
+  [STEP.SLIGHT_RIGHT]: "slightRight",
+  [STEP.STRAIGHT]: "straight",
+  [STEP.ENTER_ROUNDABOUT]: "generic",
+  [STEP.EXIT_ROUNDABOUT]: "generic",
+  [STEP.U_TURN]: "uTurn",
+  [STEP.KEEP_LEFT]: "slightLeft",
+  [STEP.KEEP_RIGHT]: "slightRight",
+};
+
+const PHRASES = {
+  [STEP.LEFT]: "Turn left",
+  [STEP.RIGHT]: "Turn right",
+  [STEP.SHARP_LEFT]: "Turn sharp left",
+  [STEP.SHARP_RIGHT]: "Turn sharp right",
+  [STEP.SLIGHT_LEFT]: "Turn slight left",
+  [STEP.SLIGHT_RIGHT]: "Turn slight right",
+  [STEP.STRAIGHT]: "Continue straight",
+  [STEP.ENTER_ROUNDABOUT]: "Enter the roundabout",
+  [STEP.EXIT_ROUNDABOUT]: "Exit the roundabout",
+  [STEP.U_TURN]: "Make a U-turn",
+  [STEP.GOAL]: "Arrive at your destination",
+  [STEP.DEPART]: "Head out",
+  [STEP.KEEP_LEFT]: "Keep left",
+  [STEP.KEEP_RIGHT]: "Keep right",
+};
+
+export function stepInstruction(type, name) {
+  const phrase = PHRASES[type] ?? PHRASES[STEP.STRAIGHT];
+  if (!name || type === STEP.GOAL) return phrase;
+  if (type === STEP.STRAIGHT) return `Continue on ${name}`;
+  if (type === STEP.DEPART) return `Head out on ${name}`;
+  return `${phrase} onto ${name}`;
+}
+
+export function makeStep(type, name, from, to, { distance = 0, duration = 0 } = {}) {
+  return {
+    distance,
+    duration,
+    type,
+    instruction: stepInstruction(type, name),
+    name: name || "-",
+    way_points: [from, to],
+  };
+}
+
+function bearingDeg([lng1, lat1], [lng2, lat2]) {
+  const y = Math.sin(toRad(lng2 - lng1)) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lng2 - lng1));
+  return (Math.atan2(y, x) * 180) / Math.PI;
+}
+
+/**
+ * Heading change at coords[i] in degrees, -180..180 (positive = right).
+ */
+export function turnAngleAt(coords, i) {
+  if (i <= 0 || i >= coords.length - 1) return 0;
+  const diff = bearingDeg(coords[i], coords[i + 1]) - bearingDeg(coords[i - 1], coords[i]);
+  return ((diff + 540) % 360) - 180;
+}
+
+export function turnType(angle) {
+  const a = Math.abs(angle);
+  if (a < 25) return STEP.STRAIGHT;
+  if (a > 165) return STEP.U_TURN;
+  if (angle > 0) return a < 60 ? STEP.SLIGHT_RIGHT : a < 130 ? STEP.RIGHT : STEP.SHARP_RIGHT;
+  return a < 60 ? STEP.SLIGHT_LEFT : a < 130 ? STEP.LEFT : STEP.SHARP_LEFT;
+}
+
+// -------------------- Route step bookkeeping --------------------
+
+/**
+ * All steps of a route (every segment), in order.
+ */
+export function routeSteps(geojson) {
+  const segments = geojson?.features?.[0]?.properties?.segments || [];
+  return segments.flatMap((s) => s.steps || []).filter((s) => Array.isArray(s.way_points));
+}
+
+export function shiftSteps(steps, by) {
+  return steps.map((s) => ({ ...s, way_points: [s.way_points[0] + by, s.way_points[1] + by] }));
+}
+
+/**
+ * Steps that cover coordinates from..to, clamped to that range.
+ */
+export function sliceSteps(steps, from, to) {
+  return steps
+    .filter((s) => {
+      const [a, b] = s.way_points;
+      return s.type === STEP.GOAL ? a >= from && a <= to : b > from && a < to;
+    })
+    .map((s) => ({
+      ...s,
+      way_points: [Math.max(from, s.way_points[0]), Math.min(to, s.way_points[1])],
+    }));
+}
+
+/**
+ * Steps of two consecutive route parts on the merged coordinates. The first
+ * part's arrival goes; the second part starts with a maneuver worked out from
+ * the merged geometry (its own first step is a departure, or a step that was
+ * clipped by a splice).
+ */
+export function joinSteps(first, second, coords) {
+  if (first.length === 0) return second;
+  const head = first.filter((s) => s.type !== STEP.GOAL);
+  if (second.length === 0) return head;
+
+  const [junction, ...rest] = second;
+  const at = junction.way_points[0];
+  const type = turnType(turnAngleAt(coords, at));
+  const prev = head[head.length - 1];
+
+  // same street straight on: extend the previous step instead of a new cue
+  if (type === STEP.STRAIGHT && prev && prev.name === junction.name) {
+    return [...head.slice(0, -1), { ...prev, way_points: [prev.way_points[0], junction.way_points[1]] }, ...rest];
+  }
+
+  const name = junction.name === "-" ? null : junction.name;
+  return [...head, { ...junction, type, instruction: stepInstruction(type, name) }, ...rest];
+}
+
+/**
+ * Recompute step distances on the final coordinates (durations scale along).
+ */
+export function measureSteps(steps, coords) {
+  return steps.map((s) => {
+    let distance = 0;
+    for (let i = s.way_points[0]; i < s.way_points[1]; i++) {
+      distance += haversineM(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+    }
+    const duration = s.distance > 0 ? (s.duration * distance) / s.distance : s.duration;
+    return { ...s, distance, duration };
+  });
+}
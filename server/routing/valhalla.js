@@ -0,0 +1,90 @@
+// server/routing/valhalla.js
+// Valhalla adapter. Valhalla has no round-trip mode, so round trips go through
+// synthetic via-points; avoid areas map onto exclude_polygons.
+
+import { createHttpClient } from "./http.js";
+import { routeFeatureCollection, syntheticRoundTripCoordinates } from "./geojson.js";
+import { decodePolyline } from "./polyline.js";
+import { STEP, makeStep } from "./steps.js";
+
+const COSTING = {
+  "foot-walking": { costing: "pedestrian" },
+  "foot-hiking": { costing: "pedestrian", costing_options: { pedestrian: { use_hills: 1 } } },
+  wheelchair: { costing: "pedestrian", costing_options: { pedestrian: { type: "wheelchair" } } },
+  "cycling-regular": { costing: "bicycle", costing_options: { bicycle: { bicycle_type: "Hybrid" } } },
+  "cycling-road": { costing: "bicycle", costing_options: { bicycle: { bicycle_type: "Road" } } },
+  "cycling-mountain": { costing: "bicycle", costing_options: { bicycle: { bicycle_type: "Mountain" } } },
+};
+
+// Valhalla maneuver type -> ORS step type
+const MANEUVERS = {
+  1: STEP.DEPART, 2: STEP.DEPART, 3: STEP.DEPART,
+  4: STEP.GOAL, 5: STEP.GOAL, 6: STEP.GOAL,
+  7: STEP.STRAIGHT, 8: STEP.STRAIGHT,
+  9: STEP.SLIGHT_RIGHT, 10: STEP.RIGHT, 11: STEP.SHARP_RIGHT,
+  12: STEP.U_TURN, 13: STEP.U_TURN,
+  14: STEP.SHARP_LEFT, 15: STEP.LEFT, 16: STEP.SLIGHT_LEFT,
+  22: STEP.STRAIGHT, 23: STEP.KEEP_RIGHT, 24: STEP.KEEP_LEFT,
+  26: STEP.ENTER_ROUNDABOUT, 27: STEP.EXIT_ROUNDABOUT,
+};
+
+export function createValhallaProvider({ baseUrl = "http://127.0.0.1:8002", http = createHttpClient() }) {
+  async function directions({ coordinates, profile = "foot-walking", avoidPolygons = null }) {
+    const body = {
+      locations: coordinates.map(([lng, lat]) => ({ lat, lon: lng, type: "break_through" })),
+      ...(COSTING[profile] || COSTING["foot-walking"]),
+      units: "kilometers",
+    };
+    // first and last location must be real stops
+    body.locations[0].type = "break";
+    body.locations[body.locations.length - 1].type = "break";
+
+    if (avoidPolygons) {
+      body.exclude_polygons = avoidPolygons.coordinates.map((rings) => rings[0]);
+    }
+
+    const data = await http.postJson(`${baseUrl}/route`, body, { label: "Valhalla request" });
+    const trip = data?.trip;
+
+    const legs = trip?.legs || [];
+    const coords = [];
+    const steps = [];
+    legs.forEach((leg, li) => {
+      const legCoords = decodePolyline(leg.shape || "", 6);
+      // consecutive legs share their joining point
+      const offset = Math.max(0, coords.length - 1);
+      coords.push(...(coords.length ? legCoords.slice(1) : legCoords));
+
+      for (const m of leg.maneuvers || []) {
+        let type = MANEUVERS[m.type] ?? STEP.STRAIGHT;
+        if (type === STEP.GOAL && li < legs.length - 1) continue;
+        if (type === STEP.DEPART && li > 0) type = STEP.STRAIGHT;
+
+        const step = makeStep(type, m.street_names?.[0], offset + m.begin_shape_index, offset + m.end_shape_index, {
+          distance: (m.length ?? 0) * 1000,
+          duration: m.time ?? 0,
+        });
+        if (m.instruction && type === MANEUVERS[m.type]) step.instruction = m.instruction;
+        steps.push(step);
+      }
+    });
+
+    return routeFeatureCollection(coords, {
+      distance: trip?.summary?.length != null ? trip.summary.length * 1000 : undefined,
+      duration: trip?.summary?.time,
+      steps,
+    });
+  }
+
+  async function roundTrip({ startLat, startLng, lengthMeters, profile, points = 6, seed = 1, avoidPolygons = null }) {
+    const coordinates = syntheticRoundTripCoordinates({ startLat, startLng, lengthMeters, points, seed });
+    return directions({ coordinates, profile, avoidPolygons });
+  }
+
+  return {
+    name: "valhalla",
+    supportsAvoidPolygons: true,
+    directions,
+    roundTrip,
+  };
+}
@@ -0,0 +1,153 @@
+// server/shapes.js
+// Route shapes other than a plain round trip, as via-points for a directions
+// request:
+//   out-and-back  start -> turnaround at half the distance -> same way back
+//   figure-eight  two loops on opposite sides, crossing at the start
+//   cloverleaf    N petal loops, each returning past the start
+// plus the padding that stretches a start -> destination route to a distance.
+// Sizes are straight-line guesses; the loop generator rescales them from the
+// distance the router actually returns.
+
+import { toRad, metersToDegLat, metersToDegLon } from "./geo.js";
+
+export const SHAPES = ["loop", "out-and-back", "figure-eight", "cloverleaf"];
+
+export const MIN_PETALS = 2;
+export const MAX_PETALS = 6;
+export const DEFAULT_PETALS = 3;
+
+// Roads are this much longer than the straight lines between via-points
+const ROAD_FACTOR = 1.3;
+
+// Petal outline (teardrop): corners at PETAL_SIDE of the tip distance, half a
+// sector (times PETAL_WIDTH) either side of the petal's bearing
+const PETAL_SIDE = 0.8;
+const PETAL_WIDTH = 0.6;
+
+// [lng,lat] `distM` from the start along `bearing` (radians, 0 = north)
+function offsetPoint(startLat, startLng, distM, bearing) {
+  return [
+    startLng + metersToDegLon(distM * Math.sin(bearing), startLat),
+    startLat + metersToDegLat(distM * Math.cos(bearing)),
+  ];
+}
+
+// Seed -> bearing, so the same seed gives the same shape
+export function shapeBearing(seed) {
+  return ((seed % 3600) / 3600) * 2 * Math.PI;
+}
+
+/**
+ * { shape, petals } from a request body (shape defaults to "loop", petals
+ * only matter for a cloverleaf), or undefined when either is invalid.
+ */
+export function parseShape(shape, petals) {
+  const s = shape ?? "loop";
+  if (!SHAPES.includes(s)) return undefined;
+
+  if (s === "figure-eight") return { shape: s, petals: 2 };
+  if (s !== "cloverleaf") return { shape: s, petals: 1 };
+
+  const n = petals == null ? DEFAULT_PETALS : Number(petals);
+  if (!Number.isInteger(n) || n < MIN_PETALS || n > MAX_PETALS) return undefined;
+  return { shape: s, petals: n };
+}
+
+/**
+ * Turnaround [lng,lat] of an out-and-back of lengthMeters in total.
+ */
+export function outAndBackTurnaround({ startLat, startLng, lengthMeters, bearing }) {
+  return offsetPoint(startLat, startLng, lengthMeters / 2 / ROAD_FACTOR, bearing);
+}
+
+/**
+ * Via-points [[lng,lat], ...] for `petals` teardrop loops of lengthMeters in
+ * total, spread evenly round the start from `bearing`:
+ * start -> side, tip, side -> start -> next petal ... -> start.
+ * A figure-eight turns its second petal the other way, so the route goes
+ * straight through the start instead of bouncing off it.
+ */
+export function petalCoordinates({ startLat, startLng, lengthMeters, bearing, petals, crossAtStart = false }) {
+  const sector = (2 * Math.PI) / petals;
+  const halfWidth = Math.min(Math.PI / 3, (sector / 2) * PETAL_WIDTH);
+
+  // straight-line perimeter of a petal with its tip at distance 1
+  const chord = Math.sqrt(1 + PETAL_SIDE ** 2 - 2 * PETAL_SIDE * Math.cos(halfWidth));
+  const unitPerimeter = 2 * PETAL_SIDE + 2 * chord;
+  const tipM = lengthMeters / petals / ROAD_FACTOR / unitPerimeter;
+
+  const start = [startLng, startLat];
+  const coords = [start];
+  for (let k = 0; k < petals; k++) {
+    const b = bearing + k * sector;
+    const turn = crossAtStart && k % 2 === 1 ? -1 : 1;
+    coords.push(
+      offsetPoint(startLat, startLng, tipM * PETAL_SIDE, b - turn * halfWidth),
+      offsetPoint(startLat, startLng, tipM, b),
+      offsetPoint(startLat, startLng, tipM * PETAL_SIDE, b + turn * halfWidth),
+      start
+    );
+  }
+  return coords;
+}
+
+// Via-points a padded point-to-point route bends through
+const PADDING_POINTS = 2;
+
+/**
+ * Via-points [[lng,lat], ...] for a start -> destination route of about
+ * lengthMeters: PADDING_POINTS points on one side of an ellipse with the start
+ * and destination as foci, sized so the straight lines through them are
+ * lengthMeters / ROAD_FACTOR long. The seed picks the side and where along the
+ * ellipse the points sit. [] when the direct line is already long enough.
+ */
+export function paddingViaPoints({ startLat, startLng, destLat, destLng, lengthMeters, seed }) {
+  // local metric frame centred between start and destination, x towards the destination
+  const midLat = (startLat + destLat) / 2;
+  const midLng = (startLng + destLng) / 2;
+  const kx = 111320 * Math.cos(toRad(midLat));
+  const ky = 111320;
+  const dx = (destLng - startLng) * kx;
+  const dy = (destLat - startLat) * ky;
+
+  const c = Math.hypot(dx, dy) / 2;
+  const wantM = lengthMeters / ROAD_FACTOR;
+  if (wantM <= 2 * c) return [];
+
+  const ux = c > 0 ? dx / (2 * c) : 1;
+  const uy = c > 0 ? dy / (2 * c) : 0;
+  const side = seed % 2 === 0 ? 1 : -1;
+  const shift = (((seed >> 1) % 100) / 100 - 0.5) * (Math.PI / 6);
+
+  // ellipse parameters from the start's end (π) to the destination's end (0)
+  const angles = Array.from(
+    { length: PADDING_POINTS },
+    (_, i) => Math.PI - ((i + 1) * Math.PI) / (PADDING_POINTS + 1) + shift
+  );
+
+  const pointsFor = (a) => {
+    const b = Math.sqrt(Math.max(0, a * a - c * c));
+    return angles.map((t) => {
+      const x = a * Math.cos(t);
+      const y = side * b * Math.sin(t);
+      return [x * ux - y * uy, x * uy + y * ux];
+    });
+  };
+  const pathLength = (pts) => {
+    const all = [[-c * ux, -c * uy], ...pts, [c * ux, c * uy]];
+    let total = 0;
+    for (let i = 1; i < all.length; i++) total += Math.hypot(all[i][0] - all[i - 1][0], all[i][1] - all[i - 1][1]);
+    return total;
+  };
+
+  // the path grows with the ellipse, so bisect its semi-major axis
+  let lo = c;
+  let hi = c + wantM;
+  for (let i = 0; i < 40; i++) {
+    const a = (lo + hi) / 2;
+    if (pathLength(pointsFor(a)) < wantM) lo = a;
+    else hi = a;
+  }
+
+  return pointsFor((lo + hi) / 2).map(([x, y]) => [midLng + x / kx, midLat + y / ky]);
+}
@@ -0,0 +1,35 @@
+// server/store/jsonFile.js
+// A list of records kept in one JSON file ({ version, [key]: [...] }).
+// Writes go to a temp file that is renamed over the old one, one at a time,
+// so a crash mid-write never leaves a half-written file behind.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export function createJsonFile({ file, key }) {
+  let writing = Promise.resolve();
+
+  // -> records, [] when the file does not exist yet
+  async function read() {
+    try {
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      return data[key] || [];
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      return [];
+    }
+  }
+
+  function write(records) {
+    const json = JSON.stringify({ version: 1, [key]: records }, null, 2);
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, json);
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  return { read, write };
+}
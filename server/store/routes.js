@@ -0,0 +1,143 @@
+// server/store/routes.js
+// Saved-routes library in a single JSON file. Small enough to keep in memory;
+// every change rewrites the file (temp file + rename, one write at a time).
+
+import { randomUUID } from "node:crypto";
+import { createJsonFile } from "./jsonFile.js";
+
+const EDITABLE = ["name", "description", "tags", "profile", "start", "destination", "targetKm", "waypoints", "stats", "geojson"];
+
+function notFound(id) {
+  const err = new Error("Route not found");
+  err.status = 404;
+  err.details = `No saved route with id "${id}"`;
+  return err;
+}
+
+function invalid(details) {
+  const err = new Error("Invalid route");
+  err.status = 400;
+  err.details = details;
+  return err;
+}
+
+function normalizeTags(tags) {
+  if (typeof tags === "string") tags = tags.split(",");
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Validate + pick the editable fields; `partial` for updates
+function cleanFields(body, { partial = false } = {}) {
+  const out = {};
+  for (const key of EDITABLE) {
+    if (body?.[key] !== undefined) out[key] = body[key];
+  }
+
+  if (!partial || out.name !== undefined) {
+    out.name = String(out.name ?? "").trim();
+    if (!out.name) throw invalid("name is required");
+  }
+
+  if (!partial || out.geojson !== undefined) {
+    const coords = out.geojson?.features?.[0]?.geometry?.coordinates;
+    if (!Array.isArray(coords) || coords.length < 2) throw invalid("geojson must hold a LineString route");
+  }
+
+  if (out.tags !== undefined || !partial) out.tags = normalizeTags(out.tags);
+
+  for (const key of ["start", "destination"]) {
+    if (out[key] === undefined || out[key] === null) continue;
+    const lat = Number(out[key].lat);
+    const lng = Number(out[key].lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) throw invalid(`${key} needs lat/lng`);
+    out[key] = { lat, lng };
+  }
+
+  return out;
+}
+
+// List entries leave out the geometry
+function summary({ geojson, ...rest }) {
+  return rest;
+}
+
+export function createRouteStore({ file }) {
+  const store = createJsonFile({ file, key: "routes" });
+  let routes = null; // Map id -> route, loaded on first use
+
+  async function load() {
+    if (!routes) routes = new Map((await store.read()).map((r) => [r.id, r]));
+    return routes;
+  }
+
+  function persist() {
+    return store.write([...routes.values()]);
+  }
+
+  /**
+   * Newest first. q matches name, description and tags; tag must match exactly.
+   */
+  async function list({ q = "", tag = "" } = {}) {
+    const all = [...(await load()).values()];
+    const needle = String(q).trim().toLowerCase();
+    const wanted = String(tag).trim().toLowerCase();
+
+    return all
+      .filter((r) => !wanted || r.tags.includes(wanted))
+      .filter(
+        (r) =>
+          !needle ||
+          r.name.toLowerCase().includes(needle) ||
+          (r.description || "").toLowerCase().includes(needle) ||
+          r.tags.some((t) => t.includes(needle))
+      )
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(summary);
+  }
+
+  async function get(id) {
+    const route = (await load()).get(id);
+    if (!route) throw notFound(id);
+    return route;
+  }
+
+  async function create(body) {
+    const fields = cleanFields(body);
+    const now = new Date().toISOString();
+    const route = {
+      id: randomUUID(),
+      description: "",
+      profile: null,
+      start: null,
+      destination: null,
+      targetKm: null,
+      waypoints: [],
+      stats: {},
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    (await load()).set(route.id, route);
+    await persist();
+    return route;
+  }
+
+  async function update(id, body) {
+    const existing = await get(id);
+    const route = { ...existing, ...cleanFields(body, { partial: true }), updatedAt: new Date().toISOString() };
+
+    routes.set(id, route);
+    await persist();
+    return route;
+  }
+
+  async function remove(id) {
+    await get(id);
+    routes.delete(id);
+    await persist();
+  }
+
+  return { list, get, create, update, remove };
+}
@@ -0,0 +1,77 @@
+// server/store/zones.js
+// Saved no-go zones in a single JSON file, same layout as the route library.
+
+import { randomUUID } from "node:crypto";
+import { createJsonFile } from "./jsonFile.js";
+import { cleanZoneShape } from "../noGoZones.js";
+
+function notFound(id) {
+  const err = new Error("Zone not found");
+  err.status = 404;
+  err.details = `No no-go zone with id "${id}"`;
+  return err;
+}
+
+export function createZoneStore({ file }) {
+  const store = createJsonFile({ file, key: "zones" });
+  let zones = null; // Map id -> zone, loaded on first use
+
+  async function load() {
+    if (!zones) zones = new Map((await store.read()).map((z) => [z.id, z]));
+    return zones;
+  }
+
+  function persist() {
+    return store.write([...zones.values()]);
+  }
+
+  // Oldest first, so zones keep their place on the map and in lists
+  async function list() {
+    return [...(await load()).values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async function get(id) {
+    const zone = (await load()).get(id);
+    if (!zone) throw notFound(id);
+    return zone;
+  }
+
+  async function create(body) {
+    const now = new Date().toISOString();
+    const zone = {
+      id: randomUUID(),
+      name: String(body?.name ?? "").trim(),
+      ...cleanZoneShape(body),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    (await load()).set(zone.id, zone);
+    await persist();
+    return zone;
+  }
+
+  // name and/or a whole new shape
+  async function update(id, body) {
+    const existing = await get(id);
+    const zone = {
+      id,
+      name: body?.name !== undefined ? String(body.name).trim() : existing.name,
+      ...cleanZoneShape(body?.kind !== undefined ? body : existing),
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+
+    zones.set(id, zone);
+    await persist();
+    return zone;
+  }
+
+  async function remove(id) {
+    await get(id);
+    zones.delete(id);
+    await persist();
+  }
+
+  return { list, get, create, update, remove };
+}
@@ -0,0 +1,64 @@
+// server/wayPreferences.js
+// What kind of ways a loop should run on, judged from the route's extras
+// (routing/extras.js). Each preference is a penalty from 0 (fully met) to 1:
+//   prefer-unpaved   share of known surfaces that is paved (trail runners)
+//   prefer-paved     share of known surfaces that is unpaved (strollers, road bikes)
+//   avoid-steps      metres of steps, full penalty at STEPS_FULL_PENALTY_M
+//   avoid-highways   share on state roads (primary roads and up)
+// Routes without the extras it needs (providers other than ORS and the
+// offline router) score 0 for that preference.
+
+import { SURFACE, WAYTYPE, PAVED_SURFACES } from "./routing/extras.js";
+
+export const WAY_PREFERENCES = ["prefer-unpaved", "prefer-paved", "avoid-steps", "avoid-highways"];
+
+// A flight of steps is a dealbreaker for a stroller long before it is a big share of the loop
+const STEPS_FULL_PENALTY_M = 50;
+
+/**
+ * Request wayPreferences -> array of ids ([] when absent), or undefined when
+ * invalid (unknown id, or both paved and unpaved preferred).
+ */
+export function parseWayPreferences(prefs) {
+  if (prefs == null) return [];
+  if (!Array.isArray(prefs) || !prefs.every((p) => WAY_PREFERENCES.includes(p))) return undefined;
+  if (prefs.includes("prefer-unpaved") && prefs.includes("prefer-paved")) return undefined;
+  return [...new Set(prefs)];
+}
+
+// metres per value from an extras summary
+function distanceByValue(extra) {
+  return new Map((extra?.summary || []).map((s) => [s.value, s.distance]));
+}
+
+/**
+ * Penalty (0..1, mean over the preferences) of a route with these extras
+ * (summarised), plus the penalty per preference.
+ */
+export function wayPreferencePenalty(extras, prefs) {
+  if (prefs.length === 0) return { penalty: 0, byPreference: {} };
+
+  const surface = distanceByValue(extras.surface);
+  const waytype = distanceByValue(extras.waytype);
+
+  let pavedM = 0;
+  let unpavedM = 0;
+  for (const [value, d] of surface) {
+    if (value === SURFACE.UNKNOWN) continue;
+    if (PAVED_SURFACES.has(value)) pavedM += d;
+    else unpavedM += d;
+  }
+  const knownM = pavedM + unpavedM;
+  const waytypeM = [...waytype.values()].reduce((sum, d) => sum + d, 0);
+
+  const byPreference = {};
+  for (const pref of prefs) {
+    if (pref === "prefer-unpaved") byPreference[pref] = knownM > 0 ? pavedM / knownM : 0;
+    else if (pref === "prefer-paved") byPreference[pref] = knownM > 0 ? unpavedM / knownM : 0;
+    else if (pref === "avoid-steps") byPreference[pref] = Math.min(1, (waytype.get(WAYTYPE.STEPS) ?? 0) / STEPS_FULL_PENALTY_M);
+    else if (pref === "avoid-highways") byPreference[pref] = waytypeM > 0 ? (waytype.get(WAYTYPE.STATE_ROAD) ?? 0) / waytypeM : 0;
+  }
+
+  const penalty = Object.values(byPreference).reduce((sum, v) => sum + v, 0) / prefs.length;
+  return { penalty, byPreference };
+}
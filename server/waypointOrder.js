@@ -0,0 +1,93 @@
+// server/waypointOrder.js
+// Visiting order for a loop through waypoints: a small travelling-salesman
+// problem over straight-line distances, start -> waypoints -> start.
+// Exact up to EXACT_MAX waypoints, nearest neighbour + 2-opt above that.
+
+import { haversineM } from "./geo.js";
+
+const EXACT_MAX = 8;
+
+function distanceMatrix(points) {
+  return points.map((a) => points.map((b) => haversineM(a.lat, a.lng, b.lat, b.lng)));
+}
+
+// tour over waypoint indices; matrix row/col 0 is the start
+function tourLength(D, order) {
+  let total = D[0][order[0] + 1];
+  for (let k = 1; k < order.length; k++) total += D[order[k - 1] + 1][order[k] + 1];
+  return total + D[order[order.length - 1] + 1][0];
+}
+
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items;
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const p of permutations(rest)) yield [items[i], ...p];
+  }
+}
+
+function nearestNeighbourTour(D, n) {
+  const left = new Set(Array.from({ length: n }, (_, i) => i));
+  const order = [];
+  let at = 0; // matrix index
+  while (left.size) {
+    let best = null;
+    for (const i of left) {
+      if (best == null || D[at][i + 1] < D[at][best + 1]) best = i;
+    }
+    order.push(best);
+    left.delete(best);
+    at = best + 1;
+  }
+  return order;
+}
+
+function twoOpt(D, order) {
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const next = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        if (tourLength(D, next) < tourLength(D, order) - 1e-6) {
+          order = next;
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+/**
+ * Up to `count` shortest visiting orders (arrays of waypoint indices), best
+ * first. A tour and its reverse are equally long; only one of them is listed.
+ * Returns [{ order, lengthM }].
+ */
+export function bestVisitingOrders(start, waypoints, count = 1) {
+  const n = waypoints.length;
+  if (n === 0) return [{ order: [], lengthM: 0 }];
+
+  const D = distanceMatrix([start, ...waypoints]);
+  const indices = Array.from({ length: n }, (_, i) => i);
+
+  if (n > EXACT_MAX) {
+    const order = twoOpt(D, nearestNeighbourTour(D, n));
+    return [{ order, lengthM: tourLength(D, order) }];
+  }
+
+  const best = [];
+  for (const order of permutations(indices)) {
+    if (n > 1 && order[0] > order[n - 1]) continue; // reverse of another tour
+    const lengthM = tourLength(D, order);
+    if (best.length < count || lengthM < best[best.length - 1].lengthM) {
+      best.push({ order, lengthM });
+      best.sort((a, b) => a.lengthM - b.lengthM);
+      if (best.length > count) best.pop();
+    }
+  }
+  return best;
+}